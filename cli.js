@@ -0,0 +1,867 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Forgerate CLI
+ * =============
+ * One entry point for the parse / import / export / diff / validate
+ * workflows that used to live in separate scripts.
+ *
+ * RUN:
+ *   node cli.js --help
+ */
+
+const fs           = require('fs');
+const path         = require('path');
+const { parseArgs } = require('util');
+
+// ─────────────────────────────────────────────────────────────
+// CONFIG
+// ─────────────────────────────────────────────────────────────
+const OPTIONS = {
+  input:  { type: 'string', short: 'i' },
+  output: { type: 'string', short: 'o' },
+  sheet:  { type: 'string', short: 's' },
+  sheets: { type: 'string' },
+  year:   { type: 'string', short: 'y' },
+  db:     { type: 'string' },
+  to:     { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  stage:  { type: 'boolean' },
+  rate:   { type: 'string' },
+  ssr:    { type: 'string' },
+  labour: { type: 'string' },
+  common: { type: 'string' },
+  report: { type: 'string' },
+  limit:  { type: 'string' },
+  once:   { type: 'boolean' },
+  weights:   { type: 'string' },
+  overheads: { type: 'string' },
+  formulas:  { type: 'boolean' },
+  help:   { type: 'boolean', short: 'h' },
+};
+
+const FORMATS = {
+  labour: { input: 'labourrates.xlsx',  output: 'flattened.json' },
+  pipe:   { input: 'input.xlsx',        output: 'output.json' },
+  phe:    { input: 'phuse.xlsx',        output: 'phuse_output.json' },
+  ssr:    { input: 'publichealth.xlsx', output: 'publichealth_parsed.json' },
+};
+
+const USAGE = `
+Usage:
+  node cli.js parse    <labour|pipe|phe|ssr> [-i file.xlsx] [-o out.json] [-s sheet] [-y year] [--report file]
+                                             [--sheets list] [--formulas]
+  node cli.js import   <labour|ssr>          [-i file.xlsx] [-s sheet | --sheets list] [-y year] [--db uri]
+                                             [--dry-run | --stage] [-o preview.json]
+  node cli.js apply    <labour|ssr>          -y year [--to batch-id] [--db uri]
+  node cli.js export   <labour|ssr>          -y year [-o out.json] [--db uri] [--report file]
+  node cli.js export   labour                -i nested.json [-o flat.json] [--report file]
+  node cli.js export   <labour|ssr>          -y year|-i file -o schedule.xlsx [--db uri]
+  node cli.js export   phe                   -i phuse_rates.json -o analysis.xlsx
+  node cli.js diff     <labour|ssr> <old-year> <new-year> [-o report.json] [--db uri]
+  node cli.js diff     <old.json> <new.json>  [-o report.json]
+  node cli.js validate <labour|pipe|phe|ssr> [-i file.xlsx|file.json] [-s sheet] [-o report.json]
+  node cli.js validate ssr                   [-i file.xlsx|file.json] [-y year] [-o report.json] [--db uri]
+  node cli.js trace    <labour|pipe|ssr> [text] [--rate n] [-i file.xlsx|file.json] [-y year] [--db uri]
+  node cli.js rate     <pipe|ssr> <item> <diameter> [-i file.xlsx|file.json] [-y year] [--db uri]
+  node cli.js estimate -i boq.json|boq.xlsx  [-y year] [--ssr file] [--labour file] [--common file] [-o estimate.json]
+  node cli.js refs     [-i file.xlsx|file.json] [-y year] [--common file] [-o report.json]
+  node cli.js flatten  <labour|pipe|phe|ssr> [-i file.xlsx|file.json] [-o out.csv|out.ndjson]
+  node cli.js report   schedule <labour|ssr>  -y year|-i file [-o schedule.html] [--db uri]
+  node cli.js report   section <item>         [-i file.xlsx|file.json] [-y year] [-o section.html]
+  node cli.js report   analysis [index-code]  -i phuse_rates.json [-o analysis.html]
+  node cli.js report   estimate               -i estimate.json|boq.xlsx [-y year] [--ssr file] [--labour file] [-o estimate.html]
+  node cli.js anomalies <labour|pipe|ssr>    [-i file.xlsx|file.json] [-y year] [--limit n] [-o report.json]
+  node cli.js watch    [folder]              [--db uri] [--dry-run] [--once]
+  node cli.js weights  [index-code]          [-i phuse.xlsx|file.json] [--labour file] [-y year]
+                                             [--weights table.json] [--overheads 0.1] [-o rates.json]
+  node cli.js computation [index-code]       [-i phuse.xlsx|file.json] [--labour file] [-y year]
+                                             [--overheads 0.1] [-o report.json]
+  node cli.js formulas <labour|pipe|phe|ssr> [-i file.xlsx] [-s sheet] [-o report.json]
+  node cli.js detect   -i file.xlsx          [-s sheet | --sheets list] [-o report.json]
+  node cli.js batches  <labour|ssr>          [-y year] [--db uri]
+  node cli.js rollback <labour|ssr>          -y year [--to batch-id] [--db uri]
+
+Formats:
+  labour  labour-rate sheet (seed.js)          default input labourrates.xlsx
+  pipe    BIS 3114 pipe-rate sheet (ph.js)     default input input.xlsx
+  phe     PHE rate analysis (phuse.js)         default input phuse.xlsx
+  ssr     SSR public health items              default input publichealth.xlsx
+  auto    whichever of these -i turns out to be (lib/workbookFormat.js; see detect)
+
+Options:
+  -i, --input   input workbook / JSON file
+  -o, --output  output file
+  -s, --sheet   sheet name or 0-based index (default: first sheet)
+      --sheets  several sheets, joined with a summary per sheet: all, "Ch 1,Ch 2", 0,2,
+                "Chapter*" or "/^ch\\d+/i" (lib/multiSheet.js)
+  -y, --year    schedule year, e.g. 2005-06 (default: read from the sheet)
+      --db      MongoDB server URI (default: MONGO_URI); database names come from config.js
+      --to      batch to activate on apply / rollback
+                (default: the staged batch / the one before the active batch)
+      --rate    trace: only rates with exactly this value
+      --limit   anomalies: suspect rows to print (default 20; the report has all)
+      --ssr     estimate: SSR schedule (.xlsx or parsed .json) instead of the database
+      --labour  estimate / weights / computation: labour rates (.xlsx or parsed .json) instead of the database
+                (without -y both default to the bundled workbooks)
+      --common  estimate / refs: common SSR schedule (.xlsx or parsed .json) that
+                "As per common SSR" rates refer to
+      --report  parse / export: write the schema validation report (lib/schemas/) here;
+                on schema errors nothing is written and a report goes next to the output
+      --dry-run import: print the changes against the active data, write nothing
+                watch: parse and validate dropped workbooks, import nothing
+      --once    watch: process what is in the folder now and exit
+      --stage   import: write the data as an inactive batch and print the changes;
+                activate it later with apply
+      --weights weights: weight table of extra diameters / pipe classes (lib/pipeWeights.js)
+      --overheads weights / computation: overheads & contractor's profit as a fraction (default 0)
+      --formulas parse: add the formula behind each rate cell (lib/cellFormulas.js)
+`.trim();
+
+class UsageError extends Error {}
+
+// ─────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────
+function requireFormat(format, allowed = Object.keys(FORMATS)) {
+  if (!allowed.includes(format)) {
+    throw new UsageError(`Expected one of ${allowed.join(', ')} (got "${format ?? ''}")`);
+  }
+  return format;
+}
+
+function inputFor(format, opts) {
+  const input = opts.input || FORMATS[format].input;
+  if (!fs.existsSync(input)) throw new Error(`Input file not found → ${path.resolve(input)}`);
+  return input;
+}
+
+/**
+ * Connect and hand `fn` the SSR database and the import-batch collection
+ * of a dataset (import_batches for labour, ssr_metadata for SSR).
+ */
+async function withDatabase(format, opts, fn) {
+  const mongoose = require('mongoose');
+  const config = require('./config.js');
+
+  await mongoose.connect(opts.db || config.mongoUri, { dbName: config.labourDbName });
+  try {
+    const db = mongoose.connection.useDb(config.ssrDbName, { useCache: true });
+    const batches = format === 'labour'
+      ? require('./models/importBatch.js').collection
+      : db.collection('ssr_metadata');
+    return await fn({ db, batches, mongoose });
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+function describeBatch(b) {
+  const when = (b.created_at ?? b.imported_at)?.toISOString?.() ?? '';
+  return `v${b.version ?? '?'}  ${b.active ? 'active' : '      '}  ${b._id}  ${when}  ${b.source_file ?? (b.legacy ? '(pre-versioning data)' : '')}`;
+}
+
+function writeJSON(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+  console.log(`  Output written : ${file}`);
+}
+
+/** Write converter output only when it passes its schema (lib/outputSchema.js). */
+function writeChecked(format, file, data, opts) {
+  const { checkOutput } = require('./lib/outputSchema.js');
+  if (!checkOutput(format, data, { output: file, report: opts.report }).valid) {
+    process.exitCode = 1;
+    return;
+  }
+  writeJSON(file, data);
+}
+
+function warnUnknownHeaders(headers) {
+  headers.forEach(h => console.warn(
+    `  WARN: unknown header at row ${h.row}: "${h.text}" (${h.skippedRows} row(s) left out; see lib/labourSections.json)`));
+}
+
+/** Parsed data from a .json file or a workbook of `format`. */
+function readDataFile(format, file, opts = {}) {
+  if (!fs.existsSync(file)) throw new Error(`Input file not found → ${path.resolve(file)}`);
+  return /\.json$/i.test(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : parseWorkbook(format, { input: file, year: opts.year });
+}
+
+/**
+ * SSR sections or labour records: from `file` when given, else the stored
+ * year (-y), else the bundled workbook.
+ */
+async function loadSchedule(format, file, opts) {
+  if (!file && opts.year) {
+    const { loadFromDb } = require('./lib/yearCompare.js');
+    return (await loadFromDb(format, [opts.year], { mongoUri: opts.db }))[0];
+  }
+  const data = readDataFile(format, file ?? FORMATS[format].input, opts);
+  return data.sections ?? data;
+}
+
+/** Schedules that text rates may refer to (--common). */
+function commonSchedules(opts) {
+  if (!opts.common) return {};
+  const data = readDataFile('ssr', opts.common, { year: opts.year });
+  return { common_ssr: data.sections ?? data };
+}
+
+/** --sheets: every selected sheet through the parser, with a line per sheet. */
+function parseAllSheets(format, opts) {
+  if (opts.sheet != null) throw new UsageError('--sheet and --sheets are exclusive');
+  const { parseSheets } = require('./lib/multiSheet.js');
+  const result = parseSheets(format, inputFor(format, opts), { sheets: opts.sheets, year: opts.year });
+
+  result.sheets.forEach(s => {
+    const what = s.status === 'failed' ? s.error : `${s.records} record(s)${s.year ? ` (${s.year})` : ''}`;
+    (s.status === 'parsed' ? console.log : console.warn)(`  ${s.status === 'parsed' ? '✔' : '✘'} ${s.sheet.padEnd(24)} ${s.status.padEnd(6)}  ${what}`);
+    s.warnings.forEach(w => console.warn(`      WARN: ${w}`));
+  });
+  return result;
+}
+
+/** Parse a workbook with the parser that belongs to `format`. */
+function parseWorkbook(format, opts) {
+  if (opts.sheets) return parseAllSheets(format, opts).data;
+  const input = inputFor(format, opts);
+  const sheet = opts.sheet ?? 0;
+
+  switch (format) {
+    case 'labour': {
+      const { parseLabourRates } = require('./seed.js');
+      const { records, unknownHeaders } = parseLabourRates(input, { year: opts.year, sheet });
+      warnUnknownHeaders(unknownHeaders);
+      return records;
+    }
+    case 'pipe': {
+      const { convertWorkbook } = require('./ph.js');
+      const { warnings, output } = convertWorkbook(input, { sheet, year: opts.year });
+      warnings.forEach(w => console.warn(`  WARN: ${w}`));
+      return output;
+    }
+    case 'phe': {
+      const { convertToJSON } = require('./phuse.js');
+      return convertToJSON(input, { sheet });
+    }
+    case 'ssr': {
+      const { parsePublicHealthXLSX } = require('./publichealth.js');
+      return parsePublicHealthXLSX(input, { year: opts.year, sheet });
+    }
+  }
+}
+
+// ─────────────────────────────────────────────────────────────
+// COMMANDS
+// ─────────────────────────────────────────────────────────────
+async function cmdParse([format], opts) {
+  requireFormat(format);
+  const data = parseWorkbook(format, opts);
+  if (opts.formulas) {
+    if (opts.sheets) throw new UsageError('--formulas reads one sheet: use -s, not --sheets');
+    const { readFormulas, attachFormulas } = require('./lib/cellFormulas.js');
+    const n = attachFormulas(format, data, readFormulas(inputFor(format, opts), { sheet: opts.sheet ?? 0 }));
+    console.log(`  ${n} rate cell(s) with a formula`);
+  }
+  writeChecked(format, opts.output || FORMATS[format].output, data, opts);
+}
+
+async function cmdImport([format], opts) {
+  requireFormat(format, ['labour', 'ssr']);
+  const config = require('./config.js');
+  const mongoUri = opts.db || config.mongoUri;
+  const input = inputFor(format, opts);
+  const { fileChecksum } = require('./lib/workbook.js');
+  const source = { sourceFile: path.basename(input), checksum: fileChecksum(input), activate: !opts.stage };
+  if (opts['dry-run'] && opts.stage) throw new UsageError('--dry-run and --stage are exclusive');
+
+  const parseOpts = { year: opts.year, sheet: opts.sheet ?? 0 };
+  let year, data;
+  if (opts.sheets) {
+    let parsed;
+    ({ year, data: parsed } = parseAllSheets(format, opts));
+    year = year ?? opts.year;
+    data = format === 'labour' ? parsed : parsed.sections;
+  } else if (format === 'labour') {
+    let unknownHeaders;
+    ({ year, records: data, unknownHeaders } = require('./seed.js').parseLabourRates(input, parseOpts));
+    warnUnknownHeaders(unknownHeaders);
+  } else {
+    ({ year, sections: data } = require('./publicdb.js').parseExcel(input, parseOpts));
+  }
+
+  if (opts['dry-run'] || opts.stage) {
+    const { previewImport } = require('./lib/importPreview.js');
+    const { printReport } = require('./lib/yearCompare.js');
+    const report = await withDatabase(format, opts, ({ db }) =>
+      previewImport(format, year, data, db, { source: source.sourceFile }));
+    printReport(report);
+    if (opts.output) writeJSON(opts.output, report);
+    if (opts['dry-run']) {
+      console.log('\n  Dry run — nothing written');
+      return;
+    }
+  }
+
+  let stored;
+  if (format === 'labour') {
+    const mongoose = require('mongoose');
+    const { importLabourRates } = require('./seed.js');
+
+    await mongoose.connect(mongoUri, { dbName: config.labourDbName });
+    try {
+      const { batch, reused, active } = await importLabourRates(data, year, source);
+      stored = { version: batch.version, reused, active };
+    } finally {
+      await mongoose.disconnect();
+    }
+  } else {
+    const { storeToMongoDB } = require('./publicdb.js');
+    stored = await storeToMongoDB(data, year, { mongoUri, dbName: config.ssrDbName, ...source });
+  }
+
+  if (opts.stage) {
+    const { stagedMessage } = require('./lib/importBatches.js');
+    console.log(`\n  ${stagedMessage(format, year, stored)}`);
+  }
+  // the import does not compare itself with a JSON export: say so, and how
+  if (format === 'ssr') {
+    console.log(`  JSON/DB agreement not checked: run "node cli.js validate ssr -i <export.json> -y ${year}" to compare an export with this batch`);
+  }
+}
+
+async function cmdExport([format], opts) {
+  requireFormat(format, ['labour', 'ssr', 'phe']);
+  if (/\.xlsx$/i.test(opts.output ?? '')) return exportWorkbook(format, opts);
+  if (format === 'phe') throw new UsageError('export phe writes a workbook: pass -o analysis.xlsx');
+
+  // Nested labour JSON → flat records (what convert.js does)
+  if (format === 'labour' && opts.input) {
+    const { flattenNested } = require('./convert.js');
+    const nested = JSON.parse(fs.readFileSync(opts.input, 'utf8'));
+    writeChecked('labour', opts.output || FORMATS.labour.output, flattenNested(nested), opts);
+    return;
+  }
+
+  if (!opts.year) throw new UsageError('export needs --year (or --input for a nested labour JSON)');
+  const { loadFromDb } = require('./lib/yearCompare.js');
+  const [data] = await loadFromDb(format, [opts.year], { mongoUri: opts.db });
+  writeChecked(format, opts.output || `${format}_${opts.year}.json`, data, opts);
+}
+
+/** Rate data back into the layout of its source sheet (lib/scheduleWorkbook.js). */
+async function exportWorkbook(format, opts) {
+  const XLSX = require('xlsx');
+  const { buildWorkbook } = require('./lib/scheduleWorkbook.js');
+
+  let data;
+  if (format === 'phe') {
+    // a computed analysis: node lib/rateAnalysis.js phuse_output.json prices.json
+    if (!opts.input) throw new UsageError('export phe needs --input (rate analysis JSON from lib/rateAnalysis.js)');
+    data = JSON.parse(fs.readFileSync(inputFor(format, opts), 'utf8'));
+    if (!Array.isArray(data.items) || !data.computed_at) {
+      throw new Error(`${opts.input} is not a rate analysis; run node lib/rateAnalysis.js on it first`);
+    }
+  } else {
+    if (!opts.input && !opts.year) throw new UsageError(`export ${format} needs --year (or --input)`);
+    // keep the parsed document whole: it carries the schedule year
+    data = opts.input ? readDataFile(format, opts.input, opts) : await loadSchedule(format, null, opts);
+  }
+
+  XLSX.writeFile(buildWorkbook(format, data, { year: opts.year }), opts.output);
+  console.log(`  Output written : ${opts.output}`);
+}
+
+async function cmdDiff(args, opts) {
+  const { compareSources, printReport } = require('./lib/yearCompare.js');
+
+  let report;
+  if (args.length === 2) {
+    report = await compareSources('file', args[0], args[1]);
+  } else if (args.length === 3) {
+    requireFormat(args[0], ['labour', 'ssr']);
+    report = await compareSources(args[0], args[1], args[2], { mongoUri: opts.db });
+  } else {
+    throw new UsageError('diff takes <old.json> <new.json> or <labour|ssr> <old-year> <new-year>');
+  }
+
+  printReport(report);
+  if (opts.output) writeJSON(opts.output, report);
+}
+
+async function cmdValidate([format], opts) {
+  requireFormat(format);
+  const { validateOutput, printIssues } = require('./lib/outputSchema.js');
+
+  const input = inputFor(format, opts);
+  const isJson = /\.json$/i.test(input);
+  const data = isJson ? JSON.parse(fs.readFileSync(input, 'utf8')) : parseWorkbook(format, opts);
+
+  const report = validateOutput(format, data, { file: path.basename(input) });
+  printIssues(report);
+  console.log(`  ${report.errors} error(s), ${report.warnings} warning(s)`);
+
+  // SSR: the JSON export must also agree with what the import stored. The
+  // import parses with the same code, so only the stored batch (-y) is a
+  // second opinion
+  if (format === 'ssr' && opts.year) {
+    report.agreement = await compareSsrImport(data, opts);
+    if (!report.agreement.agree) report.valid = false;
+  } else if (format === 'ssr') {
+    report.agreement = { checked: false, reason: 'no stored batch to compare with; pass -y YYYY-YY' };
+    console.log('  JSON/DB agreement not checked: pass -y YYYY-YY to compare with the stored batch');
+  }
+
+  if (opts.output) writeJSON(opts.output, report);
+  if (!report.valid) process.exitCode = 1;
+}
+
+/** JSON export vs. the stored ssr_sections batch of its year, item for item. */
+async function compareSsrImport(json, opts) {
+  const { compareOutputs } = require('./lib/ssrParser.js');
+  const db = await loadSchedule('ssr', null, opts);
+
+  const result = { checked: true, ...compareOutputs(json.sections ?? json, db) };
+  const where = m => [m.item_key, m.sub_id, m.dimension].filter(v => v != null).join(' / ');
+  result.mismatches.forEach(m => console.warn(`  MISMATCH ${where(m)} ${m.field}: json ${JSON.stringify(m.json)} ≠ db ${JSON.stringify(m.db)}`));
+  console.log(`  ${result.sections} section(s), ${result.rows} rate row(s), ${result.mismatches.length} JSON/DB mismatch(es)`);
+  return result;
+}
+
+async function cmdTrace([format, text], opts) {
+  requireFormat(format);
+  const { traceRates, formatProvenance } = require('./lib/rateTrace.js');
+
+  // Stored data (-y), a parsed JSON file, or the workbook itself
+  let data;
+  if (opts.year && !opts.input) {
+    requireFormat(format, ['labour', 'ssr']);
+    const { loadFromDb } = require('./lib/yearCompare.js');
+    [data] = await loadFromDb(format, [opts.year], { mongoUri: opts.db });
+  } else if (/\.json$/i.test(opts.input ?? '')) {
+    data = JSON.parse(fs.readFileSync(inputFor(format, opts), 'utf8'));
+  } else {
+    data = parseWorkbook(format, opts);
+  }
+
+  const rate = opts.rate == null ? null : Number(opts.rate);
+  if (Number.isNaN(rate)) throw new UsageError(`--rate must be a number (got "${opts.rate}")`);
+
+  const matches = traceRates(format, data, { q: text, rate });
+  const describe = m => Object.entries(m)
+    .filter(([k, v]) => v != null && !['rate', 'unit', 'provenance'].includes(k))
+    .map(([, v]) => v)
+    .join(' / ');
+
+  matches.forEach(m => console.log(`  ${describe(m)}: ${m.rate}\n      ← ${formatProvenance(m.provenance)}`));
+  console.log(`  ${matches.length} rate(s) found`);
+  if (opts.output) writeJSON(opts.output, matches);
+  if (matches.length === 0) process.exitCode = 1;
+}
+
+async function cmdRate([format, item, diameter], opts) {
+  requireFormat(format, ['pipe', 'ssr']);
+  if (!item || diameter == null) throw new UsageError('rate takes <pipe|ssr> <item> <diameter>');
+  const { rateForDiameter } = require('./lib/diameterLookup.js');
+
+  let data;
+  if (opts.year && !opts.input) {
+    requireFormat(format, ['ssr']);
+    [data] = await require('./lib/yearCompare.js').loadFromDb('ssr', [opts.year], { mongoUri: opts.db });
+  } else if (/\.json$/i.test(opts.input ?? '')) {
+    data = JSON.parse(fs.readFileSync(inputFor(format, opts), 'utf8'));
+  } else {
+    data = parseWorkbook(format, opts);
+  }
+
+  const key = v => String(v ?? '').replace(/[\s.]/g, '').toLowerCase();
+  let entries;
+  if (format === 'pipe') {
+    entries = data.items.find(i => key(i.itemNo) === key(item))?.rates;
+  } else {
+    const section = (data.sections ?? data).find(s => key(s.item_key) === key(item));
+    entries = section && [...section.items, ...section.sub_sections.flatMap(ss => ss.items)];
+  }
+  if (!entries) throw new Error(`Item ${item} not found`);
+
+  const result = rateForDiameter(entries, diameter);
+  const label = e => e.dimension ?? e.diameter;
+  let basis = '';
+  if (result.entry) basis = ` (row "${label(result.entry)}")`;
+  else if (result.rule === 'increment') basis = ` (row "${label(result.from[0])}" + ${result.steps} × row "${label(result.from[1])}")`;
+  else if (result.from) basis = ` (between ${result.from.map(label).join(' and ')})`;
+  console.log(`  ${format} ${item} @ ${result.diameter}: ${result.rate ?? '-'}  [${result.rule}]${basis}`);
+  if (opts.output) writeJSON(opts.output, result);
+  if (result.rate == null) process.exitCode = 1;
+}
+
+/** Price the BOQ of --input against the schedule (--ssr / --labour / -y). */
+async function priceBoq(opts) {
+  const { readBoq, buildEstimate } = require('./lib/estimate.js');
+
+  const boq  = readBoq(inputFor('ssr', opts), { sheet: opts.sheet ?? 0 });
+  const year = opts.year ?? boq.year ?? null;
+
+  const sections = await loadSchedule('ssr', opts.ssr, opts);
+  const labour   = await loadSchedule('labour', opts.labour, opts);
+  return buildEstimate(boq, { sections, labour, year, schedules: commonSchedules(opts) });
+}
+
+async function cmdEstimate(args, opts) {
+  const { printEstimate } = require('./lib/estimate.js');
+  if (!opts.input) throw new UsageError('estimate needs --input (BOQ .json or .xlsx)');
+
+  const estimate = await priceBoq(opts);
+  printEstimate(estimate);
+  if (opts.output) writeJSON(opts.output, estimate);
+  if (!estimate.complete) process.exitCode = 1;
+}
+
+async function cmdRefs(args, opts) {
+  const { referenceReport } = require('./lib/rateReference.js');
+  const { formatProvenance } = require('./lib/rateTrace.js');
+
+  const sections = await loadSchedule('ssr', opts.input, opts);
+  const report = referenceReport(sections, { schedules: commonSchedules(opts) });
+
+  const where = r => [r.item_key, r.sub_id, r.dimension].filter(v => v != null).join(' / ');
+  report.resolved.forEach(r => console.log(`  ✔ ${where(r)}: "${r.text}" → ${r.value}  [${r.via}]`));
+  report.unresolved.forEach(r => console.log(`  ✘ ${where(r)}: "${r.text}" [${r.type}] ${r.reason}\n      ← ${formatProvenance(r.provenance)}`));
+  console.log(`\n  ${report.total} text rate(s): ${report.resolved.length} resolved, ${report.unresolved.length} unresolved ` +
+    `(${Object.entries(report.by_type).map(([t, n]) => `${t} ${n}`).join(', ')})`);
+
+  if (opts.output) writeJSON(opts.output, report);
+  if (report.unresolved.length > 0) process.exitCode = 1;
+}
+
+async function cmdFlatten([format], opts) {
+  requireFormat(format);
+  const { exportFlat, formatFor } = require('./lib/flatExport.js');
+
+  const input = inputFor(format, opts);
+  let data = /\.json$/i.test(input) ? JSON.parse(fs.readFileSync(input, 'utf8')) : parseWorkbook(format, opts);
+  // nested labour JSON (originalNested.json) goes through convert.js first
+  if (format === 'labour' && !Array.isArray(data)) data = require('./convert.js').flattenNested(data);
+
+  const file = opts.output || `${format}.csv`;
+  const { rows, text } = exportFlat(format, data, formatFor(file));
+  fs.writeFileSync(file, text, 'utf8');
+  console.log(`  ${rows} row(s) → ${file}`);
+}
+
+async function cmdReport([kind, arg], opts) {
+  requireFormat(kind, ['schedule', 'section', 'analysis', 'estimate']);
+  const { renderReport } = require('./lib/htmlReport.js');
+
+  let html;
+  switch (kind) {
+    case 'schedule': {
+      requireFormat(arg, ['labour', 'ssr']);
+      if (!opts.input && !opts.year) throw new UsageError('report schedule needs --year (or --input)');
+      const data = opts.input ? readDataFile(arg, opts.input, opts) : await loadSchedule(arg, null, opts);
+      html = renderReport('schedule', data, { dataset: arg, ...(opts.year ? { year: opts.year } : {}) });
+      break;
+    }
+    case 'section': {
+      if (!arg) throw new UsageError('report section takes the SSR item, e.g. 8a');
+      const data = opts.input ? readDataFile('ssr', opts.input, opts) : await loadSchedule('ssr', null, opts);
+      const key = v => String(v ?? '').replace(/[\s.]/g, '').toLowerCase();
+      const section = (data.sections ?? data).find(s => key(s.item_key) === key(arg));
+      if (!section) throw new Error(`Item ${arg} not found`);
+      html = renderReport('section', section, { year: opts.year ?? data.year ?? null });
+      break;
+    }
+    case 'analysis': {
+      if (!opts.input) throw new UsageError('report analysis needs --input (rate analysis JSON from lib/rateAnalysis.js)');
+      html = renderReport('analysis', JSON.parse(fs.readFileSync(inputFor('phe', opts), 'utf8')), { item: arg ?? null });
+      break;
+    }
+    case 'estimate': {
+      if (!opts.input) throw new UsageError('report estimate needs --input (estimate JSON, or a BOQ to price)');
+      const saved = /\.json$/i.test(opts.input) ? JSON.parse(fs.readFileSync(inputFor('ssr', opts), 'utf8')) : null;
+      html = renderReport('estimate', saved?.grand_total != null ? saved : await priceBoq(opts));
+      break;
+    }
+  }
+
+  const file = opts.output || `${kind}${arg ? `_${arg}` : ''}.html`;
+  fs.writeFileSync(file, html, 'utf8');
+  console.log(`  Output written : ${file}`);
+}
+
+async function cmdWatch([dir = '.'], opts) {
+  const { createWatcher } = require('./lib/watchFolder.js');
+  const watcher = createWatcher(dir, { mongoUri: opts.db, dryRun: opts['dry-run'] });
+
+  if (opts.once) {
+    const results = await watcher.scan();
+    console.log(`  ${results.length} file(s) processed`);
+    if (results.some(r => r.status !== 'imported' && r.status !== 'validated')) process.exitCode = 1;
+    return;
+  }
+  await watcher.start();
+  process.once('SIGINT', () => {
+    watcher.stop();
+    console.log('\n  Stopped');
+  });
+}
+
+async function cmdAnomalies([format], opts) {
+  requireFormat(format, ['labour', 'pipe', 'ssr']);
+  const { findAnomalies } = require('./lib/rateAnomalies.js');
+  const { formatProvenance } = require('./lib/rateTrace.js');
+
+  // pipe rates are never stored; labour / ssr as for estimate
+  const data = format === 'pipe'
+    ? readDataFile('pipe', opts.input ?? FORMATS.pipe.input, opts)
+    : await loadSchedule(format, opts.input, opts);
+
+  const limit = opts.limit == null ? 20 : Number(opts.limit);
+  if (!Number.isInteger(limit) || limit < 0) throw new UsageError(`--limit must be a whole number (got "${opts.limit}")`);
+
+  const report = findAnomalies(format, data);
+  const where = s => Object.values(s.label).filter(v => v != null).join(' / ');
+  report.suspects.slice(0, limit).forEach(s => {
+    console.log(`  ${s.score.toFixed(2).padStart(6)}  ${where(s)}: ${s.rate}`);
+    s.findings.forEach(f => console.log(`          ${f.check}: ${f.message}`));
+    console.log(`          ← ${formatProvenance(s.provenance)}`);
+  });
+  if (report.suspects.length > limit) console.log(`  … ${report.suspects.length - limit} more suspect row(s) in the report`);
+  console.log(`\n  ${report.checked} rate(s) checked, ${report.suspects.length} suspect row(s)` +
+    (report.suspects.length ? ` (${Object.entries(report.by_check).map(([c, n]) => `${c} ${n}`).join(', ')})` : ''));
+
+  if (opts.output) writeJSON(opts.output, report);
+  if (report.suspects.length > 0) process.exitCode = 1;
+}
+
+/** Prices for a phe analysis: labour from --labour / -y / the bundled sheet, --overheads. */
+async function analysisPrices(opts) {
+  const { createRoleResolver } = require('./lib/labourRoles.js');
+
+  const overheads = opts.overheads == null ? 0 : Number(opts.overheads);
+  if (!(overheads >= 0 && overheads < 1)) throw new UsageError(`--overheads is a fraction, e.g. 0.1 (got "${opts.overheads}")`);
+
+  const labour = await loadSchedule('labour', opts.labour, opts);
+  return { labour: createRoleResolver(labour, { year: opts.year }).rateFor, overheads };
+}
+
+async function cmdWeights([item], opts) {
+  const { deriveWeightRates } = require('./lib/pipeWeights.js');
+
+  if (opts.weights && !/\.json$/i.test(opts.weights)) throw new UsageError('--weights takes a JSON weight table');
+  const parsed  = readDataFile('phe', inputFor('phe', opts), opts);
+  const weights = opts.weights ? readDataFile('phe', opts.weights) : [];
+  const result  = deriveWeightRates(parsed, await analysisPrices(opts), { item, weights });
+
+  const ref = result.reference;
+  console.log(`  Reference ${ref.diameter_mm ?? '?'} mm (${ref.index_code === '__COMMON__' ? 'common data' : ref.index_code}): ` +
+    `${ref.cost} for ${ref.weight_kg} kg → ${ref.per_kg} per kg`);
+  ref.unpriced.forEach(u => console.log(`    not priced: ${u.description} (row ${u.row}, ${u.reason})`));
+  for (const i of result.items) {
+    const title = i.description?.length > 70 ? `${i.description.slice(0, 70)}…` : i.description ?? '';
+    console.log(`\n  ${i.index_code}  ${title}`.trimEnd());
+    i.sub_items.forEach(s => console.log(`    ${`${s.diameter_mm} mm`.padStart(8)}${s.pipe_class ? ` ${s.pipe_class}` : ''}  ` +
+      `${s.weight_kg} kg / ${s.span_m} m → ${s.rate} per metre${s.from === 'table' ? '  [table]' : ''}`));
+  }
+
+  if (opts.output) writeJSON(opts.output, result);
+  if (!ref.complete) process.exitCode = 1;
+}
+
+async function cmdComputation([item], opts) {
+  const { checkComputations } = require('./lib/computationGraph.js');
+
+  const parsed = readDataFile('phe', inputFor('phe', opts), opts);
+  const report = checkComputations(parsed, await analysisPrices(opts), { item });
+
+  const where = w => `${w.index_code}${w.sub_index ? ` ${w.sub_index}` : ''}`;
+  for (const w of report.workings) {
+    // one item: its whole working; otherwise only what needs a look
+    if (item) {
+      console.log(`\n  ${where(w)}  ${w.description}`);
+      w.steps.forEach(st => console.log(`    ${String(st.label ?? '').padStart(2)}  ${st.text.slice(0, 56).padEnd(56)} ` +
+        `${st.value == null ? '-' : st.value}${st.sheet_value != null ? `  (sheet ${st.sheet_value})` : ''}`));
+      if (!w.complete) console.log(`        ${w.unpriced.length} line(s) not priced`);
+    } else if (w.findings.length) {
+      console.log(`\n  ${where(w)}  ${w.description}`);
+    }
+    w.findings.forEach(f => console.log(`    ${f.severity === 'error' ? '✘' : '!'} row ${f.row}  ${f.check}: ${f.message}`));
+  }
+  console.log(`\n  ${report.checked} working(s) checked: ${report.errors} disagreement(s) with the sheet, ${report.warnings} warning(s)` +
+    (Object.keys(report.by_check).length ? ` (${Object.entries(report.by_check).map(([c, n]) => `${c} ${n}`).join(', ')})` : ''));
+
+  if (opts.output) writeJSON(opts.output, report);
+  if (report.errors > 0) process.exitCode = 1;
+}
+
+async function cmdFormulas([format], opts) {
+  requireFormat(format);
+  const { readFormulas, formulaReport } = require('./lib/cellFormulas.js');
+
+  const input = inputFor(format, opts);
+  if (!/\.xlsx$/i.test(input)) throw new UsageError('formulas reads a workbook: pass -i file.xlsx');
+  if (opts.sheets) throw new UsageError('formulas reads one sheet: use -s, not --sheets');
+  const report = formulaReport(format, parseWorkbook(format, opts), readFormulas(input, { sheet: opts.sheet ?? 0 }));
+
+  report.formulas
+    .filter(f => f.status !== 'match')
+    .forEach(f => console.log(`  ${f.status === 'unsupported' ? '!' : '✘'} ${f.cell.padEnd(7)} =${f.formula}  ` +
+      (f.status === 'unsupported' ? `not evaluated (${f.error})` : `cached ${f.cached}, evaluates to ${f.evaluated}`)));
+  report.rates
+    .filter(r => r.source === 'formula')
+    .forEach(r => console.log(`    ${r.cell.padEnd(7)} =${r.formula.padEnd(24)} ${typeof r.value === 'number' ? +r.value.toFixed(6) : r.value}  ${r.label}`));
+
+  console.log(`\n  ${report.sheet}: ${report.formulas.length} formula cell(s), ${report.mismatches} cached value(s) that do not match, ` +
+    `${report.errors} error(s), ${report.unsupported} not evaluated`);
+  console.log(`  ${report.rate_cells} ${format} rate cell(s): ${report.computed} computed, ${report.typed} typed`);
+
+  if (opts.output) writeJSON(opts.output, report);
+  if (report.mismatches + report.errors > 0) process.exitCode = 1;
+}
+
+/** Which parser each sheet of a workbook belongs to (lib/workbookFormat.js). */
+async function cmdDetect(args, opts) {
+  const { detectSheets, MIN_CONFIDENCE } = require('./lib/workbookFormat.js');
+  if (!opts.input) throw new UsageError('detect needs a workbook: -i file.xlsx');
+  if (!fs.existsSync(opts.input)) throw new Error(`Input file not found → ${path.resolve(opts.input)}`);
+
+  const sheets = detectSheets(opts.input, { sheets: opts.sheet != null ? [opts.sheet] : opts.sheets ?? 'all' });
+  const pct = n => `${Math.round(n * 100)}%`.padStart(4);
+  sheets.forEach(({ sheet, scores: [top, ...rest] }) => {
+    const ok = top.confidence >= MIN_CONFIDENCE;
+    console.log(`  ${ok ? '✔' : '✘'} ${sheet.padEnd(24)} ${ok ? top.format.padEnd(6) : '?     '} ${pct(top.confidence)}  ${top.matched.join('; ')}`);
+    rest.filter(s => s.confidence > 0)
+      .forEach(s => console.log(`      also ${s.format.padEnd(6)} ${pct(s.confidence)}  ${s.matched.join('; ')}`));
+  });
+
+  if (opts.output) writeJSON(opts.output, { source: path.basename(opts.input), min_confidence: MIN_CONFIDENCE, sheets });
+  if (!sheets.some(s => s.scores[0].confidence >= MIN_CONFIDENCE)) process.exitCode = 1;
+}
+
+/**
+ * `auto` in place of a format: the one lib/workbookFormat.js finds in -i,
+ * read from the sheet it was found on unless -s / --sheets say otherwise.
+ */
+function detectInput(opts) {
+  const { detectFormat, MIN_CONFIDENCE } = require('./lib/workbookFormat.js');
+  if (!opts.input) throw new UsageError('auto needs the workbook: -i file.xlsx');
+  if (!/\.xlsx$/i.test(opts.input)) throw new UsageError('auto reads a workbook (.xlsx), not a JSON file');
+  if (!fs.existsSync(opts.input)) throw new Error(`Input file not found → ${path.resolve(opts.input)}`);
+
+  const found = detectFormat(opts.input, { sheet: opts.sheet ?? null });
+  if (!found.format) throw new Error(`Cannot tell what ${path.basename(opts.input)} is: ${found.reason}`);
+
+  console.log(`  Detected ${found.format} on sheet "${found.sheet}" (${Math.round(found.confidence * 100)}%: ${found.reason})`);
+  found.scores.slice(1).filter(s => s.confidence >= MIN_CONFIDENCE)
+    .forEach(s => console.warn(`  WARN: it also looks like ${s.format} (${Math.round(s.confidence * 100)}%)`));
+
+  const sheet = opts.sheet ?? (opts.sheets ? undefined : found.sheet);
+  return { format: found.format, opts: { ...opts, sheet } };
+}
+
+async function cmdBatches([format], opts) {
+  requireFormat(format, ['labour', 'ssr']);
+  const { listBatches } = require('./lib/importBatches.js');
+
+  await withDatabase(format, opts, async ({ batches: col }) => {
+    const batches = await listBatches(col, format, opts.year);
+    if (batches.length === 0) console.log(`  No ${format} import batches${opts.year ? ` for ${opts.year}` : ''}`);
+
+    let year = null;
+    for (const b of batches) {
+      if (b.year !== year) console.log(`\n  ${(year = b.year)}`);
+      console.log(`    ${describeBatch(b)}`);
+    }
+  });
+}
+
+async function cmdApply([format], opts) {
+  requireFormat(format, ['labour', 'ssr']);
+  if (!opts.year) throw new UsageError('apply needs --year');
+  const { stagedBatch, activateBatch } = require('./lib/importBatches.js');
+  const { previewBatch } = require('./lib/importPreview.js');
+  const { printReport } = require('./lib/yearCompare.js');
+
+  await withDatabase(format, opts, async ({ db, batches, mongoose }) => {
+    const batch = opts.to
+      ? await batches.findOne({ _id: new mongoose.Types.ObjectId(opts.to), dataset: format, year: opts.year })
+      : await stagedBatch(batches, format, opts.year);
+    if (!batch) throw new Error(`No staged ${format} batch for ${opts.year}`);
+
+    printReport(await previewBatch(format, batch, db));
+    await activateBatch(batches, batch._id);
+    console.log(`\n  ${format} ${opts.year}: batch v${batch.version} (${batch._id}) is now active`);
+  });
+}
+
+async function cmdRollback([format], opts) {
+  requireFormat(format, ['labour', 'ssr']);
+  if (!opts.year) throw new UsageError('rollback needs --year');
+  const { rollbackBatch } = require('./lib/importBatches.js');
+
+  await withDatabase(format, opts, async ({ batches, mongoose }) => {
+    const to = opts.to ? new mongoose.Types.ObjectId(opts.to) : null;
+    const { from, to: target } = await rollbackBatch(batches, format, opts.year, to);
+    console.log(`  ${format} ${opts.year}: v${from?.version ?? '-'} → v${target.version} (${target._id}) is now active`);
+  });
+}
+
+const COMMANDS = {
+  parse:    cmdParse,
+  import:   cmdImport,
+  export:   cmdExport,
+  diff:     cmdDiff,
+  validate: cmdValidate,
+  trace:    cmdTrace,
+  rate:     cmdRate,
+  estimate: cmdEstimate,
+  refs:     cmdRefs,
+  flatten:  cmdFlatten,
+  report:   cmdReport,
+  anomalies: cmdAnomalies,
+  watch:    cmdWatch,
+  weights:  cmdWeights,
+  computation: cmdComputation,
+  formulas: cmdFormulas,
+  detect:   cmdDetect,
+  batches:  cmdBatches,
+  apply:    cmdApply,
+  rollback: cmdRollback,
+};
+
+// ─────────────────────────────────────────────────────────────
+// MAIN
+// ─────────────────────────────────────────────────────────────
+async function main(argv) {
+  const { values: opts, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+
+  if (opts.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const run = COMMANDS[command];
+  if (!run) throw new UsageError(`Unknown command "${command}"`);
+  if (args[0] === 'auto') {
+    const routed = detectInput(opts);
+    return run([routed.format, ...args.slice(1)], routed.opts);
+  }
+  await run(args, opts);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((err) => {
+    if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      console.error(`${err.message}\n\n${USAGE}`);
+      process.exit(2);
+    }
+    console.error('  Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, COMMANDS, FORMATS };
@@ -0,0 +1,21 @@
+/**
+ * Shared runtime configuration
+ * ============================
+ * Connection settings read from the environment (or a .env file) so the
+ * API server and the importers agree on where the data lives.
+ *
+ * ENV (.env file):
+ *   MONGO_URI=mongodb://127.0.0.1:27017
+ *   LABOUR_DB_NAME=labourDB
+ *   DB_NAME=public_health_ssr
+ *   PORT=3000
+ */
+
+require('dotenv').config({ quiet: true });
+
+module.exports = {
+  mongoUri:     process.env.MONGO_URI      || 'mongodb://127.0.0.1:27017',
+  labourDbName: process.env.LABOUR_DB_NAME || 'labourDB',
+  ssrDbName:    process.env.DB_NAME        || 'public_health_ssr',
+  port:         Number(process.env.PORT)   || 3000,
+};
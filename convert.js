@@ -1,69 +1,95 @@
 const fs = require("fs");
+const { checkOutput } = require("./lib/outputSchema.js");
+const { exportFlat, formatFor } = require("./lib/flatExport.js");
 
-// 1️ Read original file
-const rawData = JSON.parse(
-  fs.readFileSync("originalNested.json", "utf8")
-);
+// Usage:
+//   node convert.js                              # originalNested.json → flattened.json
+//   node convert.js nested.json flat.json
+//   node convert.js nested.json flat.csv         # or flat.ndjson: flat table (lib/flatExport.js)
+//
+// The other datasets flatten through:  node cli.js flatten <pipe|phe|ssr>
+//
+// Or through the unified CLI:  node cli.js export labour -i nested.json
 
-const year = rawData.year;
-const result = [];
+function flattenNested(rawData) {
+  const year = rawData.year;
+  const result = [];
 
-const sections = rawData.sections;
+  const sections = rawData.sections;
 
-// 2️ Skilled Workmen
-for (const subCategory in sections.Skilled_Workmen) {
-  sections.Skilled_Workmen[subCategory].forEach(item => {
+  // 2️ Skilled Workmen
+  for (const subCategory in sections.Skilled_Workmen) {
+    sections.Skilled_Workmen[subCategory].forEach(item => {
+      result.push({
+        year,
+        category: "Skilled",
+        subCategory: subCategory.replace("_", " "),
+        description: item.description,
+        unit: item.unit,
+        rate: item.rate
+      });
+    });
+  }
+
+  // 3️ Semi-Skilled
+  sections.Semi_Skilled_Workmen.forEach(item => {
     result.push({
       year,
-      category: "Skilled",
-      subCategory: subCategory.replace("_", " "),
+      category: "Semi-Skilled",
+      subCategory: null,
       description: item.description,
       unit: item.unit,
       rate: item.rate
     });
   });
-}
 
-// 3️ Semi-Skilled
-sections.Semi_Skilled_Workmen.forEach(item => {
-  result.push({
-    year,
-    category: "Semi-Skilled",
-    subCategory: null,
-    description: item.description,
-    unit: item.unit,
-    rate: item.rate
+  // 4️ Unskilled
+  sections.Unskilled_Workmen.forEach(item => {
+    result.push({
+      year,
+      category: "Unskilled",
+      subCategory: null,
+      description: item.description,
+      unit: item.unit,
+      rate: item.rate
+    });
   });
-});
 
-// 4️ Unskilled
-sections.Unskilled_Workmen.forEach(item => {
-  result.push({
-    year,
-    category: "Unskilled",
-    subCategory: null,
-    description: item.description,
-    unit: item.unit,
-    rate: item.rate
+  // 5️ Conveyance
+  sections.Other_Conveyance_Items.forEach(item => {
+    result.push({
+      year,
+      category: "Conveyance",
+      subCategory: null,
+      description: item.description,
+      unit: item.unit,
+      rate: item.rate
+    });
   });
-});
 
-// 5️ Conveyance
-sections.Other_Conveyance_Items.forEach(item => {
-  result.push({
-    year,
-    category: "Conveyance",
-    subCategory: null,
-    description: item.description,
-    unit: item.unit,
-    rate: item.rate
-  });
-});
+  return result;
+}
 
-// 6️ Save flattened JSON
-fs.writeFileSync(
-  "flattened.json",
-  JSON.stringify(result, null, 2)
-);
+if (require.main === module) {
+  const inputFile = process.argv[2] || "originalNested.json";
+  const outputFile = process.argv[3] || "flattened.json";
+
+  // 1️ Read original file
+  const rawData = JSON.parse(
+    fs.readFileSync(inputFile, "utf8")
+  );
+
+  const flattened = flattenNested(rawData);
+  if (!checkOutput("labour", flattened, { output: outputFile }).valid) process.exit(1);
+
+  // 6️ Save flattened JSON (or the CSV / NDJSON table)
+  const table = /\.(csv|ndjson|jsonl)$/i.test(outputFile);
+  fs.writeFileSync(
+    outputFile,
+    table ? exportFlat("labour", flattened, formatFor(outputFile)).text : JSON.stringify(flattened, null, 2)
+  );
+
+  console.log(` Conversion completed. ${outputFile} created.`);
+}
 
-console.log(" Conversion completed. flattened.json created.");
+module.exports = { flattenNested };
@@ -0,0 +1,82 @@
+/**
+ * Forgerate library entry point
+ * =============================
+ * Pure parsers: each takes a file path, a Buffer or an XLSX workbook and
+ * returns plain data without touching the file system or MongoDB.
+ *
+ *   const { parsePublicHealthXLSX } = require('miniproject');
+ *   const parsed = parsePublicHealthXLSX(fs.readFileSync('publichealth.xlsx'), { source: 'publichealth.xlsx' });
+ */
+
+const { parseLabourRates }                      = require('./seed.js');
+const { parseSheet, convertWorkbook, validate } = require('./ph.js');
+const { convertToJSON }                         = require('./phuse.js');
+const { parsePublicHealthXLSX }                 = require('./publichealth.js');
+const { parseExcel }                            = require('./publicdb.js');
+const { parseSsrSheet, compareOutputs }         = require('./lib/ssrParser.js');
+const { flattenNested }                         = require('./convert.js');
+const { flattenRows, toCsv, toNdjson }          = require('./lib/flatExport.js');
+const { loadWorkbook, pickSheet, selectSheets } = require('./lib/workbook.js');
+const { validateOutput }                        = require('./lib/outputSchema.js');
+const { findAnomalies }                         = require('./lib/rateAnomalies.js');
+const { buildWorkbook }                         = require('./lib/scheduleWorkbook.js');
+const { renderReport }                          = require('./lib/htmlReport.js');
+const { deriveWeightRates, ratesFromWeights }   = require('./lib/pipeWeights.js');
+const { checkComputations }                     = require('./lib/computationGraph.js');
+const { readFormulas, attachFormulas }          = require('./lib/cellFormulas.js');
+const { parseSheets }                           = require('./lib/multiSheet.js');
+const { detectFormat }                          = require('./lib/workbookFormat.js');
+
+module.exports = {
+  // labour rates (labourrates.xlsx → LabourRate records)
+  parseLabourRates,
+  flattenNested,
+
+  // BIS 3114 pipe rates (input.xlsx → output.json)
+  parseSheet,
+  convertWorkbook,
+  validatePipeRates: validate,
+
+  // PHE rate analysis (phuse.xlsx → phuse_output.json)
+  convertToJSON,
+  // the sheet's own working ("(d) Total = a+b+c" …) replayed and checked
+  checkComputations,
+  // CI / DI laying rates per metre from the per-kg reference analysis and pipe weights
+  deriveWeightRates,
+  ratesFromWeights,
+
+  // SSR public health items (publichealth.xlsx → JSON / ssr_sections documents)
+  parsePublicHealthXLSX,
+  parseExcel,
+  parseSsrSheet,
+  compareSsrOutputs: compareOutputs,
+
+  // any of the parsers above over several sheets (one chapter per sheet), joined
+  parseSheets,
+  // which of the parsers above a workbook belongs to, with a confidence score
+  detectFormat,
+
+  // flat tables of any of the outputs above (item_key, sub_id, dimension, unit, rate, source_*)
+  flattenRows,
+  toCsv,
+  toNdjson,
+
+  // schema check of any of the outputs above (lib/schemas/)
+  validateOutput,
+
+  // the formulas behind rate cells: dependencies, stale cached values, typed vs computed
+  readFormulas,
+  attachFormulas,
+
+  // suspect rates in labour / pipe / SSR data (series, grade order, duplicates)
+  findAnomalies,
+
+  // the reverse: labour / SSR / rate-analysis data as a formatted workbook
+  buildWorkbook,
+  // … and as printable HTML: schedule, SSR section, rate analysis, estimate
+  renderReport,
+
+  loadWorkbook,
+  pickSheet,
+  selectSheets,
+};
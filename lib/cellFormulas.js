@@ -0,0 +1,436 @@
+'use strict';
+
+/**
+ * cellFormulas.js
+ * The formulas behind the cells — what sheet_to_json does not show. Reads a
+ * sheet with cellFormula on and, for every formula cell, records
+ *
+ *   formula     as stored ("0.09*1.5", "SUM(E12:E15)*1.1")
+ *   cached      the value the workbook was saved with
+ *   evaluated   the formula worked out again from the cached values of the
+ *               cells it reads (so a stale cell is reported once)
+ *   precedents  cells it reads (ranges expanded, other sheets as 'Sheet2'!A1)
+ *   dependents  formula cells that read it
+ *
+ *   status      match | mismatch | unsupported (a function we do not
+ *               evaluate) | error (#DIV/0!, #VALUE! …)
+ *
+ * Rate cells of a parsed dataset can carry their formula: provenance.formula
+ * (labour / pipe / ssr) or formulas.{quantity,rate,amount} on phe input rows
+ * and formulas.amount on computation steps. A rate cell without one was
+ * typed in by hand.
+ *
+ * Usage:
+ *   const { readFormulas, attachFormulas } = require('./lib/cellFormulas.js');
+ *   readFormulas('phuse.xlsx').formulas.filter(f => f.status === 'mismatch');
+ *
+ *   node cli.js parse phe --formulas                 # output with the formulas of its cells
+ *   node cli.js formulas <labour|pipe|phe|ssr> [-i file.xlsx] [-s sheet] [-o report.json]
+ */
+
+const XLSX = require('xlsx');
+const { loadWorkbook, pickSheet, sourceName } = require('./workbook.js');
+
+class FormulaError extends Error {}      // #DIV/0!, #VALUE! … — the formula's result
+class UnsupportedFormula extends Error {} // syntax or a function we do not evaluate
+
+// ─── 1. PARSER ────────────────────────────────────────────────────────────────
+
+const TOKEN = new RegExp([
+  /(?<ws>\s+)/,
+  /(?<str>"(?:[^"]|"")*")/,
+  /(?<sheet>(?:'(?:[^']|'')+'|[A-Za-z_][\w.]*)!)/,
+  /(?<ref>\$?[A-Z]{1,3}\$?\d+)(?![\w(])/,
+  /(?<num>(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/,
+  /(?<name>[A-Za-z_][\w.]*)/,
+  /(?<op><>|<=|>=|[-+*/^&%=<>(),:])/,
+].map(r => r.source).join('|'), 'y');
+
+function tokenize(formula) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < formula.length) {
+    const at = TOKEN.lastIndex;
+    const m = TOKEN.exec(formula);
+    if (!m) throw new UnsupportedFormula(`cannot read "${formula.slice(at)}"`);
+    const [type, text] = Object.entries(m.groups).find(([, v]) => v !== undefined);
+    if (type !== 'ws') tokens.push({ type, text });
+  }
+  return tokens;
+}
+
+const unquoteSheet = s => s.slice(0, -1).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+
+/**
+ * Formula text → syntax tree. Nodes:
+ *   { num } { str } { bool } { ref: { sheet, from, to } } { fn, args } { op, args }
+ */
+function parseFormula(formula) {
+  const tokens = tokenize(formula.replace(/^=/, ''));
+  let i = 0;
+  const peek = () => tokens[i];
+  const next = () => tokens[i++];
+  const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().text);
+  const expect = op => {
+    if (!isOp(op)) throw new UnsupportedFormula(`expected "${op}" in ${formula}`);
+    next();
+  };
+
+  const binary = (operand, ops) => () => {
+    let node = operand();
+    while (isOp(...ops)) node = { op: next().text, args: [node, operand()] };
+    return node;
+  };
+
+  function primary() {
+    const t = next();
+    if (!t) throw new UnsupportedFormula(`unexpected end of ${formula}`);
+    if (t.type === 'num') return { num: parseFloat(t.text) };
+    if (t.type === 'str') return { str: t.text.slice(1, -1).replace(/""/g, '"') };
+    if (t.type === 'op' && t.text === '(') {
+      const node = comparison();
+      expect(')');
+      return node;
+    }
+    if (t.type === 'sheet' || t.type === 'ref') {
+      const sheet = t.type === 'sheet' ? unquoteSheet(t.text) : null;
+      const from = t.type === 'sheet' ? next() : t;
+      if (from?.type !== 'ref') throw new UnsupportedFormula(`expected a cell after ${t.text} in ${formula}`);
+      let to = from;
+      if (isOp(':')) {
+        next();
+        to = next();
+        if (to?.type !== 'ref') throw new UnsupportedFormula(`expected a cell after ":" in ${formula}`);
+      }
+      return { ref: { sheet, from: from.text.replace(/\$/g, ''), to: to.text.replace(/\$/g, '') } };
+    }
+    if (t.type === 'name' && isOp('(')) {
+      next();
+      const args = [];
+      if (!isOp(')')) {
+        do args.push(comparison()); while (isOp(',') && next());
+      }
+      expect(')');
+      return { fn: t.text.toUpperCase(), args };
+    }
+    if (t.type === 'name' && /^(true|false)$/i.test(t.text)) return { bool: /^true$/i.test(t.text) };
+    throw new UnsupportedFormula(`"${t.text}" in ${formula}`);
+  }
+
+  function postfix() {
+    let node = primary();
+    while (isOp('%')) {
+      next();
+      node = { op: '%', args: [node] };
+    }
+    return node;
+  }
+  function unary() {
+    if (isOp('-', '+')) return { op: `u${next().text}`, args: [unary()] };
+    return postfix();
+  }
+  const power      = binary(unary, ['^']);
+  const term       = binary(power, ['*', '/']);
+  const additive   = binary(term, ['+', '-']);
+  const concat     = binary(additive, ['&']);
+  const comparison = binary(concat, ['=', '<>', '<', '>', '<=', '>=']);
+
+  const tree = comparison();
+  if (i < tokens.length) throw new UnsupportedFormula(`unexpected "${peek().text}" in ${formula}`);
+  return tree;
+}
+
+/** Every cell a range covers: A1:B2 → A1, B1, A2, B2 */
+function expandRange({ from, to }) {
+  const { s, e } = XLSX.utils.decode_range(`${from}:${to}`);
+  const cells = [];
+  for (let r = s.r; r <= e.r; r++) {
+    for (let c = s.c; c <= e.c; c++) cells.push(XLSX.utils.encode_cell({ r, c }));
+  }
+  return cells;
+}
+
+function referencesOf(node, out = []) {
+  if (node.ref) out.push(node.ref);
+  (node.args ?? []).forEach(a => referencesOf(a, out));
+  return out;
+}
+
+// ─── 2. EVALUATOR ─────────────────────────────────────────────────────────────
+
+const toNumber = v => {
+  if (v == null || v === '') return 0;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  if (typeof v === 'number') return v;
+  const n = Number(v);
+  if (Number.isNaN(n)) throw new FormulaError('#VALUE!');
+  return n;
+};
+// ranges in SUM and friends: numbers only, text and blanks are skipped
+const numbersIn = args => args.flat().filter(v => typeof v === 'number');
+const roundTo = (fn, x, digits) => fn(x * 10 ** digits) / 10 ** digits;
+
+const FUNCTIONS = {
+  SUM:       args => numbersIn(args).reduce((a, b) => a + b, 0),
+  PRODUCT:   args => numbersIn(args).reduce((a, b) => a * b, 1),
+  AVERAGE:   args => {
+    const n = numbersIn(args);
+    if (!n.length) throw new FormulaError('#DIV/0!');
+    return n.reduce((a, b) => a + b, 0) / n.length;
+  },
+  MIN:       args => (numbersIn(args).length ? Math.min(...numbersIn(args)) : 0),
+  MAX:       args => (numbersIn(args).length ? Math.max(...numbersIn(args)) : 0),
+  COUNT:     args => numbersIn(args).length,
+  ABS:       ([x]) => Math.abs(toNumber(x)),
+  INT:       ([x]) => Math.floor(toNumber(x)),
+  SQRT:      ([x]) => {
+    if (toNumber(x) < 0) throw new FormulaError('#NUM!');
+    return Math.sqrt(toNumber(x));
+  },
+  POWER:     ([x, y]) => toNumber(x) ** toNumber(y),
+  // Excel rounds halves away from zero
+  ROUND:     ([x, d = 0]) => Math.sign(toNumber(x)) * roundTo(Math.round, Math.abs(toNumber(x)), toNumber(d)),
+  ROUNDUP:   ([x, d = 0]) => Math.sign(toNumber(x)) * roundTo(Math.ceil, Math.abs(toNumber(x)), toNumber(d)),
+  ROUNDDOWN: ([x, d = 0]) => Math.sign(toNumber(x)) * roundTo(Math.floor, Math.abs(toNumber(x)), toNumber(d)),
+  NOT:       ([x]) => !toNumber(x),
+};
+
+// Given thunks, not values: only the branch taken is evaluated, so a guard
+// like IF(A1=0,0,B1/A1) does not fail on the branch Excel never ran
+const LAZY = {
+  IF:  ([c, a = () => true, b = () => false]) => (toNumber(c()) ? a() : b()),
+  AND: args => args.every(arg => [].concat(arg()).every(v => toNumber(v))),
+  OR:  args => args.some(arg => [].concat(arg()).some(v => toNumber(v))),
+};
+
+const COMPARE = {
+  '=':  (a, b) => a === b,
+  '<>': (a, b) => a !== b,
+  '<':  (a, b) => a < b,
+  '>':  (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+};
+
+/**
+ * @param {object} node       parseFormula() tree
+ * @param {Function} valueOf  (sheet|null, cell) → cached value or null
+ */
+function evaluate(node, valueOf) {
+  if ('num' in node) return node.num;
+  if ('str' in node) return node.str;
+  if ('bool' in node) return node.bool;
+  if (node.ref) {
+    const { sheet, from, to } = node.ref;
+    return from === to ? valueOf(sheet, from) : expandRange(node.ref).map(c => valueOf(sheet, c));
+  }
+  if (node.fn && LAZY[node.fn]) return LAZY[node.fn](node.args.map(a => () => evaluate(a, valueOf)));
+  if (node.fn) {
+    const fn = FUNCTIONS[node.fn];
+    if (!fn) throw new UnsupportedFormula(`function ${node.fn}`);
+    return fn(node.args.map(a => evaluate(a, valueOf)));
+  }
+
+  const [a, b] = node.args.map(arg => evaluate(arg, valueOf));
+  switch (node.op) {
+    case 'u-': return -toNumber(a);
+    case 'u+': return toNumber(a);
+    case '%':  return toNumber(a) / 100;
+    case '+':  return toNumber(a) + toNumber(b);
+    case '-':  return toNumber(a) - toNumber(b);
+    case '*':  return toNumber(a) * toNumber(b);
+    case '/':
+      if (toNumber(b) === 0) throw new FormulaError('#DIV/0!');
+      return toNumber(a) / toNumber(b);
+    case '^':  return toNumber(a) ** toNumber(b);
+    case '&':  return `${a ?? ''}${b ?? ''}`;
+    default:   return COMPARE[node.op](a ?? 0, b ?? 0);
+  }
+}
+
+/** Cached and evaluated agree (numbers to 1e-9 relative). */
+function sameValue(cached, value) {
+  if (typeof cached === 'number' && typeof value === 'number') {
+    return Math.abs(cached - value) <= 1e-9 * Math.max(1, Math.abs(cached));
+  }
+  return cached === value;
+}
+
+// ─── 3. WORKBOOK ──────────────────────────────────────────────────────────────
+
+/**
+ * Every formula cell of a sheet, evaluated and linked.
+ *
+ * @param {string|Buffer|object} input  file path or Buffer (a workbook already
+ *        read without cellFormula has no formulas left to find)
+ * @param {object} [opts]
+ * @param {string|number} [opts.sheet=0]
+ * @param {string} [opts.source]  name for Buffers
+ * @returns {{ source, sheet, cells: number, formulas: object[],
+ *             checked, mismatches, unsupported, errors }}
+ */
+function readFormulas(input, { sheet = 0, source = null } = {}) {
+  const wb = loadWorkbook(input, { cellFormula: true });
+  const { name, sheet: ws } = pickSheet(wb, sheet);
+
+  const valueOf = (sheetName, cell) => {
+    if (sheetName && !wb.Sheets[sheetName]) throw new FormulaError('#REF!');
+    return wb.Sheets[sheetName ?? name][cell]?.v ?? null;
+  };
+  // references name other sheets as 'Sheet2'!A1, this one's cells bare
+  const qualify = (sheetName, cell) => (sheetName && sheetName !== name ? `'${sheetName}'!${cell}` : cell);
+
+  const addresses = Object.keys(ws).filter(k => !k.startsWith('!'));
+  const formulas = addresses.filter(a => ws[a].f).map(cell => {
+    const { r } = XLSX.utils.decode_cell(cell);
+    const entry = {
+      cell,
+      row:        r + 1,
+      formula:    ws[cell].f,
+      cached:     ws[cell].v ?? null,
+      evaluated:  null,
+      status:     null,
+      precedents: [],
+      dependents: [],
+    };
+    try {
+      const tree = parseFormula(ws[cell].f);
+      entry.precedents = [...new Set(referencesOf(tree).flatMap(ref => expandRange(ref).map(c => qualify(ref.sheet, c))))];
+      entry.evaluated = evaluate(tree, valueOf);
+      entry.status = sameValue(entry.cached, entry.evaluated) ? 'match' : 'mismatch';
+    } catch (err) {
+      if (err instanceof FormulaError) {
+        entry.evaluated = err.message;
+        entry.status = entry.cached === err.message ? 'match' : 'error';
+      } else if (err instanceof UnsupportedFormula) {
+        entry.status = 'unsupported';
+        entry.error = err.message;
+      } else {
+        throw err;
+      }
+    }
+    return entry;
+  });
+
+  const byCell = new Map(formulas.map(f => [f.cell, f]));
+  formulas.forEach(f => f.precedents.forEach(p => byCell.get(p)?.dependents.push(f.cell)));
+  formulas.sort((a, b) => a.row - b.row || a.cell.localeCompare(b.cell));
+
+  const count = status => formulas.filter(f => f.status === status).length;
+  return {
+    source:      sourceName(input, source),
+    sheet:       name,
+    cells:       addresses.length,
+    formulas,
+    checked:     formulas.length - count('unsupported'),
+    mismatches:  count('mismatch'),
+    unsupported: count('unsupported'),
+    errors:      count('error'),
+  };
+}
+
+// ─── 4. RATE CELLS OF A DATASET ───────────────────────────────────────────────
+
+const PHE_COLUMNS = { quantity: 'E', rate: 'F', amount: 'G' };
+const PHE_VALUES  = { quantity: 'quantity', rate: 'sheet_rate', amount: 'sheet_amount' };
+
+/**
+ * The rate cells of parsed data with a setter for their formula:
+ * [{ cell, value, label, set(formula) }]
+ */
+function rateCells(format, data) {
+  const cells = [];
+
+  if (format === 'phe') {
+    for (const item of data.items) {
+      for (const owner of [item, ...item.sub_items]) {
+        const where = `${item.index_code}${owner === item ? '' : ` ${owner.sub_index}`}`;
+        const inputs = ['labour', 'material', 'testing', 'direct_labour', 'direct_material'].flatMap(k => owner[k] ?? []);
+        for (const inp of inputs) {
+          for (const [key, col] of Object.entries(PHE_COLUMNS)) {
+            if (typeof inp[PHE_VALUES[key]] !== 'number') continue;
+            cells.push({
+              cell:  `${col}${inp.row}`,
+              value: inp[PHE_VALUES[key]],
+              label: `${where}: ${inp.description} (${key})`,
+              set:   f => { inp.formulas = { ...inp.formulas, [key]: f }; },
+            });
+          }
+        }
+        for (const step of owner.computation?.steps ?? []) {
+          if (step.sheet_value == null) continue;
+          cells.push({
+            cell:  `G${step.row}`,
+            value: step.sheet_value,
+            label: `${where}: ${step.text}`,
+            set:   f => { step.formulas = { amount: f }; },
+          });
+        }
+      }
+    }
+    return cells;
+  }
+
+  // labour / pipe / ssr: whatever carries a provenance with a cell
+  (function walk(node, parent = null) {
+    if (Array.isArray(node)) return node.forEach(n => walk(n, parent));
+    if (!node || typeof node !== 'object') return;
+    if (node.provenance?.cell && node.rate != null) {
+      cells.push({
+        cell:  node.provenance.cell,
+        value: node.rate,
+        label: [parent, node.description ?? node.dimension ?? node.diameter ?? node.title].filter(v => v != null).join(' / '),
+        set:   f => { node.provenance.formula = f; },
+      });
+    }
+    const here = node.item_key ?? node.itemNo ?? node.category ?? parent;
+    Object.entries(node).forEach(([k, v]) => k !== 'provenance' && walk(v, here));
+  })(format === 'ssr' ? data.sections ?? data : data);
+  return cells;
+}
+
+/**
+ * Put the formula of every rate cell on the parsed data (see the header).
+ * `formulas` is readFormulas() of the workbook the data came from.
+ * @returns {number} cells that got a formula
+ */
+function attachFormulas(format, data, formulas) {
+  const byCell = new Map(formulas.formulas.map(f => [f.cell, f.formula]));
+  let n = 0;
+  for (const c of rateCells(format, data)) {
+    if (byCell.has(c.cell)) {
+      c.set(byCell.get(c.cell));
+      n++;
+    }
+  }
+  return n;
+}
+
+/**
+ * Rate cells split into computed and typed, plus the formula check of the
+ * whole sheet.
+ */
+function formulaReport(format, data, formulas) {
+  const byCell = new Map(formulas.formulas.map(f => [f.cell, f]));
+  const rates = rateCells(format, data).map(({ cell, value, label }) => {
+    const f = byCell.get(cell);
+    return f
+      ? { cell, label, value, source: 'formula', formula: f.formula, status: f.status, precedents: f.precedents }
+      : { cell, label, value, source: 'typed' };
+  });
+  const { formulas: all, ...summary } = formulas;
+  return {
+    ...summary,
+    format,
+    rate_cells: rates.length,
+    computed:   rates.filter(r => r.source === 'formula').length,
+    typed:      rates.filter(r => r.source === 'typed').length,
+    rates,
+    formulas:   all,
+  };
+}
+
+module.exports = {
+  readFormulas, attachFormulas, formulaReport, rateCells, parseFormula, evaluate,
+  FormulaError, UnsupportedFormula,
+};
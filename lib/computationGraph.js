@@ -0,0 +1,223 @@
+'use strict';
+
+/**
+ * computationGraph.js
+ * Replays the working phuse.js reads for every sub-item (computation.steps)
+ * and checks it against the sheet's own figures.
+ *
+ *   group       Σ amount of its lines           a) Labour / b) Material …
+ *   sum         Σ operands                      "(d) Total = a+b+c"
+ *   percentage  factor × Σ operands             "(e) Add for water charges @ 1% …"
+ *   overheads   overheads × Σ operands          "(g) Overheads & Contractors Profit"
+ *   rate        Σ operands / divisor            "Rate per joint = h/10"
+ *
+ * A line is valued at the sheet's amount, else quantity × the sheet's rate,
+ * else quantity × the price table (prices as for rateAnalysis.js). A step is
+ * worked out from the sheet's values of its operands where the sheet has
+ * them, so one wrong cell is reported once, not again in every total above.
+ * With `fromSheet: false` the sheet's figures are left out altogether and
+ * nothing is compared: the working priced from the price table alone (how
+ * rateAnalysis.js prices a sub-item).
+ *
+ * Findings:
+ *   error    mismatch         the sheet's value of a step is not what its operands give
+ *            line             quantity × rate ≠ amount on an input row
+ *   warning  unknown operand  "(f) Total = d+e+g" without a step g
+ *            self reference   "(f) Total = d+e+f"
+ *            duplicate label  two steps labelled b in one working
+ *            unused           a step nothing after it takes up
+ *            unparsed         a labelled row the parser could not read
+ *
+ * Usage:
+ *   const { checkComputations } = require('./lib/computationGraph.js');
+ *   checkComputations(phuseOutput, { labour: resolver.rateFor, overheads: 0.1 });
+ *
+ *   node cli.js computation [index-code] [-i phuse.xlsx|file.json] [--labour file] [-y year]
+ *                           [--overheads 0.1] [-o report.json]
+ */
+
+const { makeLookup } = require('./rateAnalysis.js');
+
+const TOLERANCE = 0.01;
+
+const round2 = n => Math.round(n * 100) / 100;
+const sum    = values => values.reduce((a, b) => a + b, 0);
+
+// ─── 1. LINES ─────────────────────────────────────────────────────────────────
+
+/** Input rows of a sub-item (or of an item's own working) by sheet row. */
+function inputsByRow(owner) {
+  const lists = [owner.labour, owner.material, owner.testing, owner.direct_labour, owner.direct_material];
+  return new Map(lists.flatMap(list => list ?? []).map(inp => [inp.row, inp]));
+}
+
+function lineValue(inp, lookups, fromSheet = true) {
+  if (fromSheet && inp.sheet_amount != null) return { amount: inp.sheet_amount, rate: inp.sheet_rate ?? null };
+  const rate = (fromSheet ? inp.sheet_rate : null)
+    ?? (inp.labour_role ? lookups.labour(inp.labour_role, inp) : null)
+    ?? (inp.labour_role ? lookups.labour(inp.description, inp) : lookups.material(inp.description, inp));
+  return { amount: rate != null && inp.quantity != null ? inp.quantity * rate : null, rate };
+}
+
+// ─── 2. ONE WORKING ───────────────────────────────────────────────────────────
+
+/**
+ * Evaluate the computation of one sub-item (or item).
+ *
+ * @param {object} owner   phuse.js sub-item, or an item with its own working
+ * @param {object} [prices]
+ * @param {object|Map|Function} [prices.labour]    labour_role / description → rate per day
+ * @param {object|Map|Function} [prices.material]  description → price per unit
+ * @param {number} [prices.overheads=0]            fraction, for overheads rows without one
+ * @param {object} [opts]  { tolerance = 0.01, fromSheet = true }
+ * @returns {{ steps: object[], rate: number|null, sheet_rate: number|null,
+ *             complete: boolean, unpriced: object[], findings: object[] }}
+ */
+function evaluateComputation(owner, prices = {}, { tolerance = TOLERANCE, fromSheet = true } = {}) {
+  const lookups  = { labour: makeLookup(prices.labour), material: makeLookup(prices.material) };
+  const inputs   = inputsByRow(owner);
+  const steps    = owner.computation?.steps ?? [];
+  const values   = new Map(); // id → value later steps take (the sheet's, where it has one)
+  const used     = new Set();
+  const unpriced = [];
+  const findings = [];
+
+  const find = (severity, check, step, message) =>
+    findings.push({ severity, check, step: step.id, row: step.row, message });
+
+  const operandTotal = step => sum(step.operands.map(id => {
+    if (!values.has(id) && id === step.id) {
+      find('warning', 'self reference', step, `"${step.text}" refers to itself`);
+      return 0;
+    }
+    if (!values.has(id)) {
+      find('warning', 'unknown operand', step, `no step "${id}" before "${step.text}"`);
+      return 0;
+    }
+    used.add(id);
+    return values.get(id) ?? 0;
+  }));
+
+  const evaluated = steps.map(step => {
+    if (step.kind !== 'rate' && step.kind !== 'unparsed' && values.has(step.id)) {
+      find('warning', 'duplicate label', step, `step "${step.id}" is labelled twice`);
+    }
+
+    let value = null;
+    let factor = step.factor ?? null;
+    switch (step.kind) {
+      case 'group': {
+        const amounts = step.lines.map(row => {
+          const inp = inputs.get(row);
+          const { amount, rate } = lineValue(inp, lookups, fromSheet);
+          if (amount == null) {
+            unpriced.push({ step: step.id, description: inp.description, row, reason: inp.quantity == null ? 'no quantity' : 'no rate' });
+          } else if (fromSheet && inp.sheet_amount != null && inp.sheet_rate != null && inp.quantity != null
+            && Math.abs(inp.quantity * inp.sheet_rate - inp.sheet_amount) > tolerance) {
+            findings.push({
+              severity: 'error', check: 'line', step: step.id, row,
+              message:  `${+inp.quantity.toFixed(4)} × ${rate} = ${round2(inp.quantity * rate)}, the sheet has ${inp.sheet_amount}`,
+            });
+          }
+          return amount ?? 0;
+        });
+        value = sum(amounts);
+        break;
+      }
+      case 'sum':
+        value = operandTotal(step);
+        break;
+      case 'percentage':
+        value = (factor ?? 0) * operandTotal(step);
+        break;
+      case 'overheads':
+        factor = factor ?? prices.overheads ?? 0;
+        value = factor * operandTotal(step);
+        break;
+      case 'rate':
+        value = operandTotal(step) / step.divisor;
+        break;
+      default:
+        find('warning', 'unparsed', step, `could not read "${step.text}"`);
+    }
+    if (value != null) value = round2(value);
+
+    const ok = !fromSheet || step.sheet_value == null || value == null || Math.abs(value - step.sheet_value) <= tolerance;
+    if (!ok) {
+      find('error', 'mismatch', step, `"${step.text}": the operands give ${value}, the sheet has ${step.sheet_value}`);
+    }
+    if (step.kind !== 'rate' && step.kind !== 'unparsed') values.set(step.id, (fromSheet ? step.sheet_value : null) ?? value);
+
+    return {
+      id:          step.id,
+      label:       step.label,
+      kind:        step.kind,
+      text:        step.text,
+      row:         step.row,
+      ...(step.operands ? { operands: step.operands } : {}),
+      ...(factor != null ? { factor } : {}),
+      value,
+      sheet_value: step.sheet_value,
+      ok,
+    };
+  });
+
+  // everything before the (last) rate should end up in it
+  const rateStep = [...evaluated].reverse().find(st => st.kind === 'rate');
+  if (rateStep) {
+    const last = evaluated.indexOf(rateStep);
+    evaluated.slice(0, last)
+      .filter(st => st.kind !== 'rate' && st.kind !== 'unparsed' && !used.has(st.id))
+      .forEach(st => find('warning', 'unused', st, `"${st.text}" does not go into the rate`));
+  }
+
+  return {
+    steps:      evaluated,
+    rate:       rateStep?.value ?? null,
+    sheet_rate: rateStep?.sheet_value ?? null,
+    complete:   unpriced.length === 0,
+    unpriced,
+    findings:   findings.sort((a, b) => a.row - b.row),
+  };
+}
+
+// ─── 3. WHOLE ANALYSIS ────────────────────────────────────────────────────────
+
+/**
+ * Evaluate every working in a phuse_output.json document: the sub-items, and
+ * an item's own working (common block, items without sub-items).
+ *
+ * @param {object} parsed  phuse_output.json
+ * @param {object} [prices]
+ * @param {object} [opts]  { item: index code, tolerance }
+ */
+function checkComputations(parsed, prices = {}, { item: only = null, ...opts } = {}) {
+  const items = only ? parsed.items.filter(i => i.index_code === only) : parsed.items;
+  if (only && items.length === 0) throw new Error(`Item ${only} not found`);
+
+  const workings = items.flatMap(item => [item, ...item.sub_items]
+    .filter(owner => owner.computation?.steps.length)
+    .map(owner => ({
+      index_code:  item.index_code,
+      sub_index:   owner === item ? null : owner.sub_index,
+      description: owner.description,
+      row:         owner.row,
+      ...evaluateComputation(owner, prices, opts),
+    })));
+
+  const findings = workings.flatMap(w => w.findings);
+  const by_check = {};
+  findings.forEach(f => { by_check[f.check] = (by_check[f.check] ?? 0) + 1; });
+
+  return {
+    source:      parsed.source ?? null,
+    computed_at: new Date().toISOString(),
+    checked:     workings.length,
+    errors:      findings.filter(f => f.severity === 'error').length,
+    warnings:    findings.filter(f => f.severity === 'warning').length,
+    by_check,
+    workings,
+  };
+}
+
+module.exports = { checkComputations, evaluateComputation };
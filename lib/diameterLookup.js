@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * diameterLookup.js
+ * Rate for an arbitrary diameter (or depth / capacity) of a scheduled item.
+ *
+ * Schedules list discrete diameters (80, 100, 125 …) and, in publichealth.js
+ * / publicdb.js output, range rows kept as text ("Upto 2 m", "From 2 to 4 m",
+ * "10 mm to 20", "Beyond 5 m …"). For a requested value the lookup tries,
+ * in order:
+ *   exact         a row listing exactly that value
+ *   range         a range row containing it (first match wins on a shared
+ *                 boundary, e.g. 4 in "From 2 to 4" and "From 4 to 6")
+ *   increment     past a "Beyond 5 m … for every additional 1 m depth
+ *                 over item 'c'" row: the rate of the base row (item c, or
+ *                 the row ending at 5) plus that row's rate per step begun
+ *   interpolated  linear interpolation between the nearest listed values
+ *                 below and above it
+ * and says which rule produced the rate. An increment row is never a rate
+ * on its own; without a base row to add it to, the result is out_of_range.
+ * Values outside the listed ones are not extrapolated: the result is rule
+ * 'out_of_range' with no rate.
+ *
+ * Usage:
+ *   const { rateForDiameter } = require('./lib/diameterLookup.js');
+ *   rateForDiameter(section.items, 175)
+ *   // → { rule: 'interpolated', rate: 14.08, diameter: 175, from: [ …150 row, …180 row ] }
+ *
+ *   node cli.js rate ssr 8a 175
+ */
+
+// ─── 1. DIMENSION PARSING ─────────────────────────────────────────────────────
+
+const NUM = String.raw`(\d[\d,]*(?:\.\d+)?)`;
+const toNum = s => Number(s.replace(/,/g, ''));
+
+const RANGE_RE  = new RegExp(String.raw`^(?:from\s+)?${NUM}\s*[a-z.]*\s*(?:to|-)\s*${NUM}\b`, 'i');
+const UPTO_RE   = new RegExp(String.raw`^(?:up\s*to|below|less than)\s+${NUM}\b`, 'i');
+const BEYOND_RE = new RegExp(String.raw`^(?:beyond|above|over|more than)\s+${NUM}\b`, 'i');
+const EXACT_RE  = new RegExp(String.raw`^${NUM}\s*(?:mm)?$`, 'i');
+
+// a charge per step over another row, not a rate of its own
+// (rateAnomalies.js too)
+const INCREMENT_RE = /\b(every\s+additional|extra\s+over)\b/i;
+const STEP_RE      = new RegExp(String.raw`every\s+additional\s+${NUM}`, 'i');
+const OVER_ITEM_RE = /over\s+item\s+['‘’"]?([a-z0-9]{1,2})\b/i;
+const LABEL_RE     = /^\(?([a-z0-9]{1,2})\)/i;
+
+/**
+ * Read a schedule dimension ("150", "150 mm", "Upto 2 m below GL/m",
+ * "40,001 to 60,000 Litres capacity", "a) 200 mm to 400") as
+ *   { kind: 'exact', value } | { kind: 'range', min, max }
+ *   | { kind: 'upto', max }  | { kind: 'beyond', min }
+ * or null when it is not a size at all ("C.I. Pipes and fittings").
+ */
+function parseDimension(dimension) {
+  if (typeof dimension === 'number') return { kind: 'exact', value: dimension };
+  if (dimension == null) return null;
+
+  const text = String(dimension).trim().replace(/^[a-z0-9]{1,2}\)\s*/i, '');
+  let m;
+  if ((m = EXACT_RE.exec(text)))  return { kind: 'exact', value: toNum(m[1]) };
+  if ((m = RANGE_RE.exec(text)))  return { kind: 'range', min: toNum(m[1]), max: toNum(m[2]) };
+  if ((m = UPTO_RE.exec(text)))   return { kind: 'upto', max: toNum(m[1]) };
+  if ((m = BEYOND_RE.exec(text))) return { kind: 'beyond', min: toNum(m[1]) };
+  return null;
+}
+
+function contains(dim, value) {
+  switch (dim.kind) {
+    case 'range':  return value >= dim.min && value <= dim.max;
+    case 'upto':   return value <= dim.max;
+    case 'beyond': return value > dim.min;
+    default:       return false;
+  }
+}
+
+// ─── 2. LOOKUP ────────────────────────────────────────────────────────────────
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/** The row an increment row adds to: "over item 'c'", else the row ending at its start. */
+function baseRow(rows, inc) {
+  const label = OVER_ITEM_RE.exec(inc.entry.dimension)?.[1]?.toLowerCase();
+  if (label) return rows.find(r => LABEL_RE.exec(String(r.entry.dimension ?? '').trim())?.[1]?.toLowerCase() === label) ?? null;
+  const min = inc.dim.min;
+  return rows.find(r => (r.dim.kind === 'range' || r.dim.kind === 'upto') && r.dim.max === min)
+    ?? rows.find(r => r.dim.kind === 'exact' && r.dim.value === min)
+    ?? null;
+}
+
+/** Base rate plus the increment for every step (begun) past the base. */
+function incrementRate(rows, inc, value) {
+  if (inc.dim.kind !== 'beyond' || !(value > inc.dim.min)) return null;
+  const base = baseRow(rows, inc);
+  if (!base) return null;
+  const step  = toNum(STEP_RE.exec(inc.entry.dimension)?.[1] ?? '1');
+  const steps = Math.ceil((value - inc.dim.min) / step - 1e-9);
+  return { rate: round2(base.entry.rate + steps * inc.entry.rate), steps, from: [base.entry, inc.entry] };
+}
+
+/**
+ * @param {object[]} entries  schedule rows: ssr items ({ dimension, rate })
+ *                            or output.json rates ({ diameter, rate })
+ * @param {number|string} diameter
+ * @param {object}  [opts]
+ * @param {boolean} [opts.interpolate=true]
+ * @returns {{ rule: 'exact'|'range'|'increment'|'interpolated'
+ *                   |'out_of_range'|'not_found',
+ *             rate: number|null, diameter: number, entry?: object,
+ *             from?: object[], steps?: number }}
+ *          increment: from = [base row, increment row]
+ */
+function rateForDiameter(entries, diameter, { interpolate = true } = {}) {
+  const value = typeof diameter === 'number' ? diameter : parseDimension(diameter)?.value;
+  if (value == null || Number.isNaN(value)) throw new Error(`Not a diameter: "${diameter}"`);
+
+  const all = (entries || [])
+    .map(entry => ({ entry, dim: parseDimension(entry.dimension ?? entry.diameter) }))
+    .filter(r => r.dim && typeof r.entry.rate === 'number');
+  const isIncrement = r => INCREMENT_RE.test(String(r.entry.dimension ?? ''));
+  const rows = all.filter(r => !isIncrement(r));
+
+  const exact = rows.find(r => r.dim.kind === 'exact' && r.dim.value === value);
+  if (exact) return { rule: 'exact', rate: exact.entry.rate, diameter: value, entry: exact.entry };
+
+  const range = rows.find(r => contains(r.dim, value));
+  if (range) return { rule: 'range', rate: range.entry.rate, diameter: value, entry: range.entry };
+
+  for (const inc of all.filter(isIncrement)) {
+    const priced = incrementRate(rows, inc, value);
+    if (priced) return { rule: 'increment', rate: priced.rate, diameter: value, steps: priced.steps, from: priced.from };
+  }
+
+  const points = rows.filter(r => r.dim.kind === 'exact').sort((a, b) => a.dim.value - b.dim.value);
+  const below  = points.filter(p => p.dim.value < value).at(-1);
+  const above  = points.find(p => p.dim.value > value);
+
+  if (!below || !above) {
+    return { rule: all.length > 0 ? 'out_of_range' : 'not_found', rate: null, diameter: value };
+  }
+  if (!interpolate) return { rule: 'not_found', rate: null, diameter: value };
+
+  const t    = (value - below.dim.value) / (above.dim.value - below.dim.value);
+  const rate = round2(below.entry.rate + t * (above.entry.rate - below.entry.rate));
+  return { rule: 'interpolated', rate, diameter: value, from: [below.entry, above.entry] };
+}
+
+module.exports = { parseDimension, rateForDiameter, INCREMENT_RE };
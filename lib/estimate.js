@@ -0,0 +1,375 @@
+'use strict';
+
+/**
+ * estimate.js
+ * Prices a bill of quantities (BOQ) against the schedule.
+ *
+ * A BOQ line is either an SSR item or a labour line:
+ *   { item: '8a', dimension: '300', quantity: 1200, unit: 'm' }
+ *   { labour: 'Plumber', subCategory: 'First Class', quantity: 40, unit: 'day' }
+ * SSR lines are priced from ssr_sections items (item_key + dimension, or
+ * the section rate for items without a dimension table); a diameter that is
+ * not listed takes the rate of its range row or is interpolated
+ * (diameterLookup.js, reported as `rate_rule`); text rates ("As per common
+ * SSR", "25% extra over …") are followed by rateReference.js, with the
+ * line's `base_rate` as the base of a percentage. Labour lines are priced from
+ * LabourRate records by description, through the aliases of labourRoles.js.
+ *
+ *   amount     = quantity × rate
+ *   subtotal   = Σ amounts of a BOQ section
+ *   grand_total = Σ subtotals
+ *
+ * Lines that cannot be priced count as 0 and are listed under `unpriced`
+ * with the reason, so a partial schedule still yields a (flagged) estimate.
+ * A priced line may still carry `notes`: a labour role that matched several
+ * rates (the candidates and the one taken), or a BOQ unit that is not the
+ * schedule's ("cum" against a rate per "10 Cum").
+ *
+ * BOQ input (JSON):
+ *   { "title": "…", "year": "2005-06",
+ *     "sections": [ { "name": "Pipe laying", "lines": [ …lines… ] } ] }
+ * or { "lines": [ { "section": "Pipe laying", …line… } ] }.
+ *
+ * BOQ input (Excel): one header row naming the columns — Section, Item,
+ * Sub, Dimension (or Diameter / Size), Labour, Category, Sub Category,
+ * Description, Quantity (or Qty), Unit — in any order. A row with a single
+ * text cell and no quantity starts a new section.
+ *
+ * Usage:
+ *   node lib/estimate.js boq.json sections.json labour.json [estimate.json]
+ *   node cli.js estimate -i boq.xlsx [-y 2005-06] [-o estimate.json]
+ */
+
+const fs   = require('fs');
+const XLSX = require('xlsx');
+const { loadWorkbook, pickSheet } = require('./workbook.js');
+const { normaliseRole, createRoleResolver } = require('./labourRoles.js');
+const { parseDimension, rateForDiameter } = require('./diameterLookup.js');
+const { resolveRate } = require('./rateReference.js');
+
+// ─── 1. HELPERS ───────────────────────────────────────────────────────────────
+
+const round2  = n => Math.round(n * 100) / 100;
+const normKey = v => String(v ?? '').replace(/[\s.]/g, '').toLowerCase();
+const normDim = v => (v == null ? null : String(v).trim().replace(/\s*mm$/i, '').replace(/\s+/g, ' ').toLowerCase());
+
+// "Per Metre" / "mtr" / "Rm" → { count: 1, base: 'm' }; "10 Cum" → { count: 10, base: 'cum' }
+const UNIT_BASES = {
+  m: 'm', metre: 'm', meter: 'm', mtr: 'm', rm: 'm', rmt: 'm', 'running metre': 'm',
+  day: 'day', days: 'day', each: 'each', no: 'each', nos: 'each', number: 'each',
+  cum: 'cum', 'cu m': 'cum', 'cu.m': 'cum', m3: 'cum', sqm: 'sqm', 'sq m': 'sqm', 'sq.m': 'sqm', m2: 'sqm',
+  kg: 'kg', kgs: 'kg', litre: 'litre', litres: 'litre', lt: 'litre', tonne: 'tonne', tonnes: 'tonne',
+};
+function parseUnit(unit) {
+  const m = /^(\d+(?:\.\d+)?)?\s*(.*)$/.exec(String(unit).toLowerCase().replace(/^per\s+/, '').replace(/\.$/, '').trim());
+  const base = m[2].replace(/\s+/g, ' ');
+  return { count: m[1] ? Number(m[1]) : 1, base: UNIT_BASES[base] ?? base };
+}
+const sameUnit = (a, b) => {
+  const [x, y] = [parseUnit(a), parseUnit(b)];
+  return x.count === y.count && x.base === y.base;
+};
+
+const toNumber = v => {
+  if (typeof v === 'number') return v;
+  const n = parseFloat(String(v ?? '').replace(/,/g, ''));
+  return Number.isNaN(n) ? null : n;
+};
+
+// ─── 2. BOQ INPUT ─────────────────────────────────────────────────────────────
+
+const COLUMNS = {
+  section:     /^section$/i,
+  item:        /^(ssr )?item( no\.?)?$/i,
+  sub_id:      /^sub( ?id| ?item)?$/i,
+  dimension:   /^(dimension|diameter|dia|size)( \(?mm\)?)?$/i,
+  labour:      /^labour( role)?$/i,
+  category:    /^category$/i,
+  subCategory: /^sub ?category$/i,
+  description: /^description$/i,
+  quantity:    /^(quantity|qty\.?)$/i,
+  unit:        /^unit$/i,
+};
+
+/**
+ * Read a BOQ sheet (file path, Buffer or workbook) into the JSON shape.
+ */
+function readBoqWorkbook(input, { sheet = 0 } = {}) {
+  const { sheet: ws } = pickSheet(loadWorkbook(input), sheet);
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
+
+  const headerIndex = rows.findIndex(r => r.some(c => COLUMNS.quantity.test(String(c ?? '').trim())));
+  if (headerIndex === -1) throw new Error('BOQ sheet has no header row with a Quantity column');
+
+  const columns = {};
+  rows[headerIndex].forEach((c, i) => {
+    const field = Object.keys(COLUMNS).find(f => COLUMNS[f].test(String(c ?? '').trim()));
+    if (field && !(field in columns)) columns[field] = i;
+  });
+
+  const lines = [];
+  let section = null;
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const line = {};
+    for (const [field, col] of Object.entries(columns)) {
+      const v = rows[i][col];
+      if (v != null && String(v).trim() !== '') line[field] = typeof v === 'string' ? v.trim() : v;
+    }
+    if (Object.keys(line).length === 0) continue;
+
+    // Section heading row: a single text cell, no quantity
+    if (line.quantity == null && Object.keys(line).length === 1) {
+      section = Object.values(line)[0];
+      continue;
+    }
+    lines.push({ section: line.section ?? section, ...line, row: i + 1 });
+  }
+  return { lines };
+}
+
+/** Group a BOQ into [{ name, lines }] whichever shape it came in. */
+function boqSections(boq) {
+  if (Array.isArray(boq.sections)) {
+    return boq.sections.map(s => ({ name: s.name ?? null, lines: s.lines ?? [] }));
+  }
+  const sections = new Map();
+  for (const line of boq.lines ?? boq) {
+    const name = line.section ?? null;
+    if (!sections.has(name)) sections.set(name, { name, lines: [] });
+    sections.get(name).lines.push(line);
+  }
+  return [...sections.values()];
+}
+
+// ─── 3. RATE LOOKUP ───────────────────────────────────────────────────────────
+
+/**
+ * SSR lookup over ssr_sections documents (or publichealth sections).
+ * Returns { rate, rate_rule, unit, title, provenance } or { reason }.
+ */
+function createSsrLookup(sections, { schedules = {} } = {}) {
+  const byKey = new Map(sections.map(s => [normKey(s.item_key), s]));
+
+  const findItem = (items, dimension) => {
+    const wanted = normDim(dimension);
+    return items.find(i => normDim(i.dimension) === wanted)
+      // "a" picks "a) Cutting open B.T. road surface …"
+      ?? items.find(i => normDim(i.dimension)?.startsWith(`${wanted})`));
+  };
+
+  return function lookup(line) {
+    const key = normKey(line.item);
+    let section = byKey.get(key);
+    let subId   = line.sub_id ?? null;
+
+    // "12a" → item 12, sub-section a
+    if (!section && /^\d+[a-z]$/.test(key)) {
+      section = byKey.get(key.slice(0, -1));
+      subId = subId ?? key.slice(-1);
+    }
+    if (!section) return { reason: `SSR item ${line.item} not found` };
+
+    const items = subId
+      ? section.sub_sections.find(ss => normKey(ss.sub_id) === normKey(subId))?.items
+      : [...section.items, ...section.sub_sections.flatMap(ss => ss.items)];
+    if (!items) return { reason: `SSR item ${line.item} has no sub-section ${subId}` };
+
+    let hit;
+    let rule = 'exact';
+    if (line.dimension != null) {
+      hit = findItem(items, line.dimension);
+      if (!hit && parseDimension(line.dimension)?.kind === 'exact') {
+        const found = rateForDiameter(items, line.dimension);
+        if (found.rate != null) {
+          rule = found.rule;
+          hit  = { ...(found.entry ?? found.from[0]), rate: found.rate };
+          if (found.from) hit.provenance = found.from.map(e => e.provenance ?? null);
+        }
+      }
+      if (!hit) return { reason: `no rate for dimension ${line.dimension} under SSR item ${line.item}` };
+    } else if (section.rate != null) {
+      hit = section;
+    } else if (items.length === 1) {
+      hit = items[0];
+    } else {
+      return { reason: `SSR item ${line.item} needs a dimension (${items.length} rates)` };
+    }
+
+    if (typeof hit.rate !== 'number') {
+      const ref = resolveRate(hit, { sections, schedules, baseRate: toNumber(line.base_rate) });
+      if (!ref.resolved) return { reason: `"${hit.rate}": ${ref.reason}` };
+      hit  = { ...hit, rate: ref.value };
+      rule = `reference (${ref.via})`;
+    }
+    return {
+      rate:       hit.rate,
+      rate_rule:  rule,
+      unit:       hit.unit ?? section.unit ?? null,
+      title:      section.title,
+      provenance: hit.provenance ?? null,
+    };
+  };
+}
+
+/**
+ * Labour lookup over LabourRate records. An exact description match
+ * (narrowed by category / subCategory when given) wins; otherwise the
+ * role aliases of labourRoles.js ("plumber 1st class") are tried. When
+ * several records share the description the alias pick is taken, with a
+ * note naming every candidate.
+ */
+function createLabourLookup(records, { year } = {}) {
+  const pool     = year ? records.filter(r => r.year === year) : records;
+  const resolver = createRoleResolver(pool);
+  const same     = (a, b) => String(a ?? '').toLowerCase().trim() === String(b ?? '').toLowerCase().trim();
+
+  return function lookup(line) {
+    let candidates = pool.filter(r => normaliseRole(r.description) === normaliseRole(line.labour));
+    if (line.category)    candidates = candidates.filter(r => same(r.category, line.category));
+    if (line.subCategory) candidates = candidates.filter(r => same(r.subCategory, line.subCategory));
+
+    const record = candidates.length === 1 ? candidates[0] : resolver.resolve(line.labour)?.record;
+    const label  = r => [r.category, r.subCategory].filter(Boolean).join(' / ');
+    const notes  = record && candidates.length > 1
+      ? [`labour "${line.labour}" matches ${candidates.length} rates (${candidates.map(r => `${label(r)} ${r.rate}`).join(', ')}); ` +
+         `took ${label(record)} ${record.rate} — give category / subCategory to choose`]
+      : [];
+    if (!record) {
+      return {
+        reason: candidates.length > 1
+          ? `labour "${line.labour}" is ambiguous (${candidates.map(r => [r.category, r.subCategory].filter(Boolean).join(' / ')).join(', ')}); give category / subCategory`
+          : `no labour rate for "${line.labour}"`,
+      };
+    }
+    return {
+      rate:       record.rate,
+      unit:       record.unit ?? null,
+      title:      [record.category, record.subCategory, record.description].filter(Boolean).join(' / '),
+      provenance: record.provenance ?? null,
+      notes,
+    };
+  };
+}
+
+// ─── 4. ESTIMATE ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {object}   boq
+ * @param {object}   schedule
+ * @param {object[]} schedule.sections  ssr_sections documents
+ * @param {object[]} schedule.labour    LabourRate records
+ * @param {string}   [schedule.year]    schedule year (defaults to boq.year)
+ * @param {object}   [schedule.schedules]  referenced schedules, e.g. { common_ssr: sections }
+ */
+function buildEstimate(boq, { sections = [], labour = [], year = boq.year ?? null, schedules = {} } = {}) {
+  const ssrLookup    = createSsrLookup(sections, { schedules });
+  const labourLookup = createLabourLookup(labour, { year });
+  const unpriced     = [];
+  let lineNo = 0;
+
+  const priced = boqSections(boq).map(sec => {
+    const lines = sec.lines.map(line => {
+      lineNo++;
+      let item = line.item;
+      let role = line.labour;
+      const m = /^labour\s*:\s*(.+)$/i.exec(String(item ?? ''));
+      if (m) [item, role] = [null, m[1].trim()];
+
+      const kind     = role ? 'labour' : 'ssr';
+      const quantity = toNumber(line.quantity);
+      const hit      = !role && item == null
+        ? { reason: 'line names neither an SSR item nor a labour role' }
+        : kind === 'labour' ? labourLookup({ ...line, labour: role }) : ssrLookup({ ...line, item });
+      const reason   = hit.reason ?? (quantity == null ? 'no quantity' : null);
+      const notes    = [...(hit.notes ?? [])];
+      if (line.unit && hit.unit && !sameUnit(line.unit, hit.unit)) {
+        notes.push(`unit "${line.unit}" is not the schedule's "${hit.unit}": the rate is per ${hit.unit}`);
+      }
+
+      const out = {
+        line_no:       lineNo,
+        kind,
+        item:          kind === 'ssr' ? item ?? null : null,
+        dimension:     line.dimension ?? null,
+        labour:        role ?? null,
+        description:   line.description ?? hit.title ?? null,
+        quantity,
+        unit:          line.unit ?? hit.unit ?? null,
+        schedule_unit: hit.unit ?? null,
+        rate:          hit.rate ?? null,
+        rate_rule:     hit.rate_rule ?? null,
+        amount:        reason ? 0 : round2(quantity * hit.rate),
+        priced:        !reason,
+        provenance:    hit.provenance ?? null,
+        notes,
+      };
+      if (line.row) out.row = line.row;
+      if (reason) {
+        out.reason = reason;
+        unpriced.push({ section: sec.name, line_no: lineNo, item: out.item ?? out.labour, reason });
+      }
+      return out;
+    });
+    return { name: sec.name, lines, subtotal: round2(lines.reduce((sum, l) => sum + l.amount, 0)) };
+  });
+
+  return {
+    title:       boq.title ?? null,
+    year,
+    priced_at:   new Date().toISOString(),
+    sections:    priced,
+    grand_total: round2(priced.reduce((sum, s) => sum + s.subtotal, 0)),
+    total_lines: lineNo,
+    complete:    unpriced.length === 0,
+    unpriced,
+  };
+}
+
+/** BOQ from a .json or .xlsx file. */
+function readBoq(file, opts = {}) {
+  return /\.json$/i.test(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8'))
+    : readBoqWorkbook(file, opts);
+}
+
+// ─── 5. CLI RUNNER ────────────────────────────────────────────────────────────
+
+function printEstimate(est) {
+  console.log(`\n${est.title ?? 'Estimate'}${est.year ? ` (${est.year})` : ''}`);
+  for (const sec of est.sections) {
+    console.log(`\n  ${sec.name ?? '(no section)'}`);
+    for (const l of sec.lines) {
+      const what = l.kind === 'labour' ? `labour: ${l.labour}` : [l.item, l.dimension].filter(v => v != null).join(' / ');
+      const amount = l.priced ? l.amount.toFixed(2).padStart(12) : '   UNPRICED ';
+      console.log(`    ${String(l.line_no).padStart(3)}. ${what.padEnd(28)} ${String(l.quantity ?? '-').padStart(8)} × ${String(l.rate ?? '-').padStart(8)} = ${amount}`);
+      (l.notes ?? []).forEach(n => console.warn(`         NOTE: ${n}`));
+    }
+    console.log(`    ${'Subtotal'.padEnd(54)}${sec.subtotal.toFixed(2).padStart(13)}`);
+  }
+  console.log(`\n  ${'GRAND TOTAL'.padEnd(56)}${est.grand_total.toFixed(2).padStart(13)}`);
+  est.unpriced.forEach(u => console.warn(`  WARN: line ${u.line_no} (${u.item ?? '?'}) not priced: ${u.reason}`));
+}
+
+if (require.main === module) {
+  const [boqFile, sectionsFile, labourFile, outputFile = 'estimate.json'] = process.argv.slice(2);
+  if (!boqFile || !sectionsFile || !labourFile) {
+    console.error('Usage: node lib/estimate.js <boq.json|boq.xlsx> <sections.json> <labour.json> [estimate.json]');
+    process.exit(1);
+  }
+
+  const read     = f => JSON.parse(fs.readFileSync(f, 'utf8'));
+  const sections = read(sectionsFile);
+  const estimate = buildEstimate(readBoq(boqFile), {
+    sections: sections.sections ?? sections,
+    labour:   read(labourFile),
+  });
+  printEstimate(estimate);
+  fs.writeFileSync(outputFile, JSON.stringify(estimate, null, 2), 'utf8');
+  console.log(`\n  Output : ${outputFile}`);
+  if (!estimate.complete) process.exitCode = 2;
+}
+
+module.exports = {
+  buildEstimate, readBoq, readBoqWorkbook, boqSections,
+  createSsrLookup, createLabourLookup, printEstimate,
+};
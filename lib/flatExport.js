@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * flatExport.js
+ * Flat tables of every parsed dataset, for spreadsheets and BI tools: one
+ * row per rate (or per analysis line) with the nesting spelled out in
+ * columns, written as CSV or NDJSON.
+ *
+ *   labour  flattened.json / LabourRate     one row per record
+ *   pipe    output.json                     one row per item × diameter
+ *   ssr     publichealth_parsed.json        one row per section / item rate,
+ *                                           sub-section in sub_id
+ *   phe     phuse_output.json               one row per labour / material /
+ *                                           testing / sundry line of a sub-item
+ *
+ * Column names are fixed per dataset (COLUMNS) and shared where they mean
+ * the same thing: item_key, sub_id, dimension, unit, rate, and the
+ * source_file / source_sheet / source_row / source_cell of the workbook cell.
+ * A column without a value is empty in CSV and null in NDJSON.
+ *
+ * Usage:
+ *   const { flattenRows, toCsv } = require('./lib/flatExport.js');
+ *   fs.writeFileSync('pipe.csv', toCsv(flattenRows('pipe', output), 'pipe'));
+ *
+ *   node cli.js flatten <labour|pipe|phe|ssr> [-i file.xlsx|file.json] [-o out.csv|out.ndjson]
+ */
+
+const SOURCE = ['source_file', 'source_sheet', 'source_row', 'source_cell'];
+
+const COLUMNS = {
+  labour: ['year', 'category', 'sub_category', 'description', 'unit', 'rate', ...SOURCE],
+  pipe:   ['year', 'item_key', 'title', 'dimension', 'unit', 'rate', ...SOURCE],
+  ssr:    ['year', 'item_key', 'item_no', 'category', 'title', 'sub_id', 'sub_description',
+    'dimension', 'unit', 'rate', 'rate_text', 'rate_ref', ...SOURCE],
+  phe:    ['item_key', 'sub_id', 'sub_description', 'dimension', 'output_unit', 'line',
+    'description', 'labour_role', 'unit', 'quantity', 'factor', ...SOURCE],
+};
+
+// ─── 1. FLATTENERS ────────────────────────────────────────────────────────────
+
+/** Source columns from a provenance object, or from a bare sheet row (phuse). */
+function sourceOf(provenance, fallback = {}) {
+  return {
+    source_file:  provenance?.file ?? fallback.file ?? null,
+    source_sheet: provenance?.sheet ?? fallback.sheet ?? null,
+    source_row:   provenance?.row ?? fallback.row ?? null,
+    source_cell:  provenance?.cell ?? null,
+  };
+}
+
+function labourRows(records) {
+  return records.map(r => ({
+    year:         r.year ?? null,
+    category:     r.category,
+    sub_category: r.subCategory ?? null,
+    description:  r.description,
+    unit:         r.unit ?? null,
+    rate:         r.rate,
+    ...sourceOf(r.provenance),
+  }));
+}
+
+function pipeRows(output) {
+  return output.items.flatMap(item => item.rates.map(r => ({
+    year:      output.year ?? null,
+    item_key:  item.itemNo,
+    title:     item.title ?? null,
+    dimension: r.diameter,
+    unit:      item.unit ?? null,
+    rate:      r.rate,
+    ...sourceOf(r.provenance, { file: output.source, sheet: output.sheet }),
+  })));
+}
+
+function ssrRows(data) {
+  const sections = data.sections ?? data;
+  const year = data.year ?? null;
+  const rows = [];
+
+  for (const sec of sections) {
+    const push = (sub, entry, dimension) => rows.push({
+      year,
+      item_key:        sec.item_key,
+      item_no:         sec.item_no,
+      category:        sec.category ?? null,
+      title:           sec.title ?? null,
+      sub_id:          sub?.sub_id ?? null,
+      sub_description: sub?.description ?? null,
+      dimension,
+      unit:            entry.unit ?? null,
+      rate:            typeof entry.rate === 'number' ? entry.rate : null,
+      rate_text:       typeof entry.rate === 'string' ? entry.rate : null,
+      rate_ref:        entry.rate_ref?.type ?? null,
+      ...sourceOf(entry.provenance ?? sec.provenance, { file: data.source_file, sheet: data.sheet }),
+    });
+    if (sec.rate != null) push(null, sec, null);
+    sec.items.forEach(item => push(null, item, item.dimension));
+    sec.sub_sections.forEach(ss => ss.items.forEach(item => push(ss, item, item.dimension)));
+  }
+  return rows;
+}
+
+const PHE_LINES = ['labour', 'material', 'testing', 'sundry'];
+
+function pheRows(parsed) {
+  const at = { file: parsed.source, sheet: parsed.sheet };
+  const rows = [];
+
+  for (const item of parsed.items) {
+    const push = (sub, line, inp) => rows.push({
+      item_key:        item.index_code,
+      sub_id:          sub?.sub_index ?? null,
+      sub_description: sub?.description ?? null,
+      dimension:       sub?.diameter_mm ?? null,
+      output_unit:     sub?.output_unit ?? null,
+      line,
+      description:     inp.description,
+      labour_role:     inp.labour_role ?? null,
+      unit:            inp.unit_normalized ?? inp.unit ?? null,
+      quantity:        inp.quantity ?? null,
+      factor:          inp.factor ?? null,
+      ...sourceOf(null, { ...at, row: inp.row }),
+    });
+    // the common-data block carries its lines on the item itself
+    (item.direct_labour ?? []).forEach(inp => push(null, 'labour', inp));
+    (item.direct_material ?? []).forEach(inp => push(null, 'material', inp));
+    for (const sub of item.sub_items) {
+      PHE_LINES.forEach(line => (sub[line] ?? []).forEach(inp => push(sub, line, inp)));
+    }
+  }
+  return rows;
+}
+
+const FLATTENERS = { labour: labourRows, pipe: pipeRows, ssr: ssrRows, phe: pheRows };
+
+/**
+ * @param {'labour'|'pipe'|'ssr'|'phe'} format
+ * @param {*} data  the converter's JSON output (labour: flat records)
+ * @returns {object[]} rows with exactly the COLUMNS of the format, in order
+ */
+function flattenRows(format, data) {
+  const flatten = FLATTENERS[format];
+  if (!flatten) throw new Error(`No flat export for "${format}"`);
+  return flatten(data).map(row => Object.fromEntries(COLUMNS[format].map(c => [c, row[c] ?? null])));
+}
+
+// ─── 2. WRITERS ───────────────────────────────────────────────────────────────
+
+/** RFC 4180: quote fields holding a comma, quote or line break. */
+function csvField(value) {
+  if (value == null) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows, format) {
+  const columns = COLUMNS[format] ?? Object.keys(rows[0] ?? {});
+  const lines = [columns.join(','), ...rows.map(row => columns.map(c => csvField(row[c])).join(','))];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function toNdjson(rows) {
+  return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+}
+
+/** 'csv' or 'ndjson' from an output file name (default csv). */
+const formatFor = file => (/\.(ndjson|jsonl)$/i.test(file ?? '') ? 'ndjson' : 'csv');
+
+/**
+ * Flatten and serialise in one step.
+ * @param {string} format  dataset format
+ * @param {*} data
+ * @param {'csv'|'ndjson'} [as='csv']
+ */
+function exportFlat(format, data, as = 'csv') {
+  const rows = flattenRows(format, data);
+  return { rows: rows.length, text: as === 'ndjson' ? toNdjson(rows) : toCsv(rows, format) };
+}
+
+module.exports = { flattenRows, toCsv, toNdjson, exportFlat, formatFor, COLUMNS };
@@ -0,0 +1,264 @@
+'use strict';
+
+/**
+ * htmlReport.js
+ * Printable HTML reports for tender documents. Each report is one
+ * self-contained page with print CSS (A4, repeated table headers, no rows
+ * split across pages), so a browser's "Save as PDF" gives the attachment
+ * without any PDF library.
+ *
+ *   schedule  a schedule year: LabourRate records or SSR sections
+ *   section   one SSR section with its diameter / range table
+ *   analysis  phuse rate analysis (lib/rateAnalysis.js output): labour,
+ *             material and testing lines, sundries, overheads, rate
+ *   estimate  priced BOQ (lib/estimate.js output) with subtotals and total
+ *
+ * Usage:
+ *   const { renderReport } = require('./lib/htmlReport.js');
+ *   fs.writeFileSync('8a.html', renderReport('section', section, { year: '2005-06' }));
+ *
+ *   node cli.js report schedule <labour|ssr> -y 2005-06 -o schedule.html
+ *   node cli.js report section 8a -o 8a.html
+ *   node cli.js report analysis [index-code] -i phuse_rates.json -o analysis.html
+ *   node cli.js report estimate -i boq.xlsx -y 2005-06 -o estimate.html
+ */
+
+// ─── 1. HTML HELPERS ──────────────────────────────────────────────────────────
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const esc = v => (v == null ? '' : String(v).replace(/[&<>"']/g, c => ESCAPES[c]));
+
+const money = v => (typeof v === 'number'
+  ? v.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+  : esc(v));
+const qty = v => (typeof v === 'number' ? String(Math.round(v * 1000) / 1000) : esc(v));
+
+/** One cell of already-escaped HTML; class "num" right-aligns it. */
+const td = (value, cls = null) => `<td${cls ? ` class="${cls}"` : ''}>${value}</td>`;
+
+function table(head, body) {
+  return `<table>
+<thead><tr>${head.map(([text, c]) => `<th${c ? ` class="${c}"` : ''}>${esc(text)}</th>`).join('')}</tr></thead>
+<tbody>
+${body.join('\n')}
+</tbody>
+</table>`;
+}
+
+const CSS = `
+  body { font: 11pt/1.35 "Times New Roman", serif; color: #000; margin: 2em auto; max-width: 60em; }
+  h1 { font-size: 15pt; text-align: center; margin: 0 0 .2em; }
+  h2 { font-size: 12.5pt; margin: 1.4em 0 .4em; }
+  h3 { font-size: 11pt; margin: 1em 0 .3em; }
+  .meta { text-align: center; margin-bottom: 1.2em; }
+  table { width: 100%; border-collapse: collapse; margin: .3em 0 .8em; }
+  th, td { border: 1px solid #444; padding: 2px 5px; vertical-align: top; }
+  th { background: #eee; }
+  .num { text-align: right; white-space: nowrap; }
+  .group td { font-weight: bold; background: #f6f6f6; }
+  .total td { font-weight: bold; border-top: 2px solid #000; }
+  .muted { color: #555; font-size: 9.5pt; }
+  .flag { color: #a00; }
+  footer { margin-top: 2em; font-size: 9pt; color: #555; border-top: 1px solid #999; padding-top: .3em; }
+  @page { size: A4; margin: 15mm 12mm; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    thead { display: table-header-group; }
+    tr, .keep { page-break-inside: avoid; }
+    h2, h3 { page-break-after: avoid; }
+    .page { page-break-before: always; }
+    th, .group td { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+`;
+
+function page(title, body, { subtitle = null, source = null } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(title)}</title>
+<style>${CSS}</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+${subtitle ? `<div class="meta">${esc(subtitle)}</div>` : ''}
+${body}
+<footer>Generated ${esc(new Date().toISOString().slice(0, 10))}${source ? ` · source: ${esc(source)}` : ''}</footer>
+</body>
+</html>
+`;
+}
+
+const sourceOf = rows => rows.map(r => r?.provenance?.file).find(Boolean) ?? null;
+
+// ─── 2. SCHEDULES ─────────────────────────────────────────────────────────────
+
+function labourSchedule(records, { year = records[0]?.year ?? null } = {}) {
+  const groups = new Map();
+  records.forEach(r => {
+    const key = `${r.category}|${r.subCategory ?? ''}`;
+    if (!groups.has(key)) groups.set(key, { category: r.category, subCategory: r.subCategory ?? null, rows: [] });
+    groups.get(key).rows.push(r);
+  });
+
+  let serial = 0;
+  const body = [];
+  for (const g of groups.values()) {
+    body.push(`<tr class="group">${td(esc([g.category, g.subCategory].filter(Boolean).join(' — ')))}${td('')}${td('')}${td('')}</tr>`);
+    g.rows.forEach(r => body.push(`<tr>${td(++serial, 'num')}${td(esc(r.description))}${td(esc(r.unit))}${td(money(r.rate), 'num')}</tr>`));
+  }
+  return page('Labour Rates', table([['Sl. No.', 'num'], ['Description'], ['Unit'], [`Rate${year ? ` ${year}` : ''} (Rs.)`, 'num']], body), {
+    subtitle: year ? `Standard Schedule of Rates ${year}` : null,
+    source:   sourceOf(records),
+  });
+}
+
+/** Rows of one SSR section: the section line, its items, its sub-sections. */
+function sectionRows(sec) {
+  const rateCell = entry => td(typeof entry.rate === 'number' ? money(entry.rate) : `<span class="muted">${esc(entry.rate)}</span>`, 'num');
+  const itemRow = entry => `<tr>${td('')}${td(esc(entry.dimension ?? ''))}${td(esc(entry.unit))}${rateCell(entry)}</tr>`;
+
+  const rows = [`<tr class="group">${td(esc(sec.item_no))}${td(esc(sec.title))}${td(esc(sec.unit))}${sec.rate != null ? rateCell(sec) : td('')}</tr>`];
+  sec.items.forEach(item => rows.push(itemRow(item)));
+  for (const ss of sec.sub_sections) {
+    const letter = ss.sub_id.startsWith('auto_') ? '' : `${ss.sub_id}.`;
+    rows.push(`<tr>${td(esc(letter))}${td(`<em>${esc(ss.description)}</em>`)}${td('')}${td('')}</tr>`);
+    ss.items.forEach(item => rows.push(itemRow(item)));
+  }
+  return rows;
+}
+
+const SSR_HEAD = year => [['S.No.'], ['Description'], ['Unit'], [`Rate${year ? ` ${year}` : ''} (Rs.)`, 'num']];
+
+function ssrSchedule(sections, { year = null, title = 'Public Health Items' } = {}) {
+  const body = sections.flatMap(sectionRows);
+  return page(title, table(SSR_HEAD(year), body), {
+    subtitle: year ? `Standard Schedule of Rates ${year}` : null,
+    source:   sourceOf(sections),
+  });
+}
+
+function scheduleReport(data, { dataset, ...opts } = {}) {
+  if (dataset === 'labour') return labourSchedule(data, opts);
+  if (dataset === 'ssr') return ssrSchedule(data.sections ?? data, { year: data.year, ...opts });
+  throw new Error(`No schedule report for "${dataset}"`);
+}
+
+// ─── 3. SSR SECTION ───────────────────────────────────────────────────────────
+
+function sectionReport(sec, { year = null } = {}) {
+  const notes = (sec.notes ?? []).map(n => `<p class="muted">${esc(n)}</p>`).join('\n');
+  const body = `<h2>Item ${esc(sec.item_no)} — ${esc(sec.category)}</h2>
+<p>${esc(sec.title)}</p>
+${table(SSR_HEAD(year), sec.rate != null ? sectionRows(sec) : sectionRows(sec).slice(1))}
+${notes}`;
+  return page(`SSR Item ${sec.item_no}`, body, {
+    subtitle: year ? `Standard Schedule of Rates ${year}` : null,
+    source:   sourceOf([sec, ...sec.items]),
+  });
+}
+
+// ─── 4. RATE ANALYSIS ─────────────────────────────────────────────────────────
+
+const LINE_GROUPS = [['labour', '(a) Labour'], ['material', '(b) Material'], ['testing', '(c) Testing']];
+
+function subItemWorking(sub) {
+  const body = [];
+  for (const [key, heading] of LINE_GROUPS) {
+    const lines = sub[key]?.lines ?? [];
+    if (!lines.length) continue;
+    body.push(`<tr class="group">${td(esc(heading))}${td('')}${td('')}${td('')}${td('')}</tr>`);
+    lines.forEach(l => {
+      const unpriced = l.rate == null || l.quantity == null;
+      body.push(`<tr>${td(esc(l.description) + (unpriced ? ' <span class="flag">(not priced)</span>' : ''))}` +
+        `${td(esc(l.unit))}${td(qty(l.quantity), 'num')}${td(money(l.rate), 'num')}${td(money(l.amount), 'num')}</tr>`);
+    });
+  }
+  const line = (label, factor, amount, cls = '') =>
+    `<tr${cls ? ` class="${cls}"` : ''}>${td(esc(label))}${td('')}${td(factor == null ? '' : `${qty(factor * 100)}%`, 'num')}${td('')}${td(money(amount), 'num')}</tr>`;
+
+  body.push(line('Sub-total', null, sub.subtotal, 'total'));
+  sub.sundries.forEach(sd => body.push(line(sd.description, sd.factor, sd.amount)));
+  if (sub.overheads.factor) body.push(line('Overheads & Contractors Profit', sub.overheads.factor, sub.overheads.amount));
+  body.push(line(`Cost for ${sub.divisor} ${sub.output_unit ?? 'unit'}${sub.divisor === 1 ? '' : 's'}`, null, sub.total, 'total'));
+  body.push(line(`Rate per ${sub.output_unit ?? 'unit'}${sub.divisor === 1 ? '' : ` = total / ${sub.divisor}`}`, null, sub.rate, 'total'));
+
+  const heading = [sub.sub_index, sub.description].filter(v => v != null).join('. ');
+  return `<div class="keep">
+<h3>${esc(heading)}${sub.complete ? '' : ` <span class="flag">— ${sub.unpriced.length} line(s) not priced</span>`}</h3>
+${table([['Description'], ['Unit'], ['Quantity', 'num'], ['Rate (Rs.)', 'num'], ['Amount (Rs.)', 'num']], body)}
+</div>`;
+}
+
+/**
+ * @param {object} analysis   analyseAll() output
+ * @param {object} [opts]
+ * @param {string} [opts.item]  one index code (default: every item)
+ */
+function analysisReport(analysis, { item = null } = {}) {
+  const items = item ? analysis.items.filter(i => i.index_code === item) : analysis.items;
+  if (items.length === 0) throw new Error(`Item ${item} not found in the rate analysis`);
+
+  const body = items.map((it, n) => `<section${n ? ' class="page"' : ''}>
+<h2>${esc(it.index_code === '__COMMON__' ? 'Common Data' : it.index_code)}</h2>
+<p>${esc(it.description)}</p>
+${it.sub_items.map(subItemWorking).join('\n')}
+</section>`).join('\n');
+
+  return page(items.length === 1 && item ? `Rate Analysis ${item}` : 'Rate Analysis', body, {
+    subtitle: analysis.computed_at ? `Computed ${analysis.computed_at.slice(0, 10)}` : null,
+    source:   analysis.source ?? null,
+  });
+}
+
+// ─── 5. ESTIMATE ──────────────────────────────────────────────────────────────
+
+function estimateReport(est) {
+  const body = [];
+  for (const sec of est.sections) {
+    body.push(`<tr class="group">${td('')}${td(esc(sec.name ?? '(no section)'))}${td('')}${td('')}${td('')}${td('')}</tr>`);
+    sec.lines.forEach(l => {
+      const what = l.kind === 'labour'
+        ? `Labour: ${l.labour}`
+        : [l.item && `SSR ${l.item}`, l.dimension, l.description].filter(Boolean).join(' — ');
+      body.push(`<tr>${td(l.line_no, 'num')}${td(esc(what) + (l.priced ? '' : ` <span class="flag">(not priced: ${esc(l.reason)})</span>`)
+        + (l.notes ?? []).map(n => ` <span class="flag">(${esc(n)})</span>`).join(''))}` +
+        `${td(qty(l.quantity), 'num')}${td(esc(l.unit))}${td(money(l.rate), 'num')}${td(money(l.amount), 'num')}</tr>`);
+    });
+    body.push(`<tr class="total">${td('')}${td(`Subtotal — ${esc(sec.name ?? '')}`)}${td('')}${td('')}${td('')}${td(money(sec.subtotal), 'num')}</tr>`);
+  }
+  body.push(`<tr class="total">${td('')}${td('GRAND TOTAL')}${td('')}${td('')}${td('')}${td(money(est.grand_total), 'num')}</tr>`);
+
+  const unpriced = est.unpriced.length
+    ? `<p class="flag">${est.unpriced.length} line(s) not priced and counted as 0: ` +
+      `${est.unpriced.map(u => `line ${u.line_no} (${esc(u.item ?? '?')})`).join(', ')}</p>`
+    : '';
+  return page(est.title ?? 'Estimate', table(
+    [['No.', 'num'], ['Item'], ['Quantity', 'num'], ['Unit'], ['Rate (Rs.)', 'num'], ['Amount (Rs.)', 'num']], body) + unpriced, {
+    subtitle: est.year ? `Rates as per Standard Schedule of Rates ${est.year}` : null,
+  });
+}
+
+// ─── 6. ENTRY POINT ───────────────────────────────────────────────────────────
+
+const REPORTS = {
+  schedule: scheduleReport,
+  section:  sectionReport,
+  analysis: analysisReport,
+  estimate: estimateReport,
+};
+
+/**
+ * @param {'schedule'|'section'|'analysis'|'estimate'} kind
+ * @param {*} data      see the table at the top of the file
+ * @param {object} [opts]  schedule: { dataset: 'labour'|'ssr', year }; section: { year };
+ *                         analysis: { item }
+ * @returns {string} HTML document
+ */
+function renderReport(kind, data, opts = {}) {
+  const render = REPORTS[kind];
+  if (!render) throw new Error(`Unknown report "${kind}"`);
+  return render(data, opts);
+}
+
+module.exports = { renderReport, scheduleReport, sectionReport, analysisReport, estimateReport };
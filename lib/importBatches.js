@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * importBatches.js
+ * Versioned import batches with one "active" batch per dataset and year.
+ *
+ * Every import writes its records into a new batch (version n+1) and only
+ * then flips the active pointer, so a bad spreadsheet never destroys the
+ * previous data: rolling back is just re-activating an older batch.
+ * An import can also be staged — written but left inactive — and applied
+ * (activated) once its change preview has been reviewed.
+ *
+ * Batch document (import_batches for labour, ssr_metadata for SSR):
+ *   { _id, dataset: 'labour'|'ssr', year, version, source_file, checksum,
+ *     active, created_at, activated_at, …dataset-specific fields }
+ *
+ * All functions take a native MongoDB collection (a mongoose
+ * Model.collection works as well).
+ */
+
+// ─── 1. HELPERS ───────────────────────────────────────────────────────────────
+
+const createdAt = b => b.created_at ?? b.imported_at ?? new Date(0);
+
+/** Newest first: highest version, then most recent creation time. */
+const byRecency = (a, b) =>
+  (b.version ?? 0) - (a.version ?? 0) || createdAt(b) - createdAt(a);
+
+// ─── 2. LIFECYCLE ─────────────────────────────────────────────────────────────
+
+/**
+ * Give batches written before versioning (no dataset / version field) a
+ * version number in creation order so they can be rolled back to.
+ */
+async function adoptLegacyBatches(col, dataset, year) {
+  const legacy = await col.find({ year, version: { $exists: false } }).toArray();
+  if (legacy.length === 0) return 0;
+
+  const last = await col.findOne({ dataset, year, version: { $exists: true } }, { sort: { version: -1 } });
+  let version = last?.version ?? 0;
+
+  legacy.sort((a, b) => createdAt(a) - createdAt(b));
+  for (const doc of legacy) {
+    version++;
+    await col.updateOne({ _id: doc._id }, { $set: { dataset, version, active: false } });
+  }
+  return legacy.length;
+}
+
+/**
+ * Open a batch for an import. A file that was already imported for the
+ * same year (same checksum) reuses its batch, so re-running an import is
+ * idempotent.
+ *
+ * @returns {{ batch: object, reused: boolean }}
+ */
+async function beginBatch(col, { dataset, year, source_file, checksum = null, ...extra }) {
+  await adoptLegacyBatches(col, dataset, year);
+
+  if (checksum) {
+    const existing = await col.findOne({ dataset, year, checksum });
+    if (existing) return { batch: existing, reused: true };
+  }
+
+  const last = await col.findOne({ dataset, year }, { sort: { version: -1 } });
+  const doc = {
+    dataset,
+    year,
+    version:    (last?.version ?? 0) + 1,
+    source_file,
+    checksum,
+    active:     false,
+    created_at: new Date(),
+    ...extra,
+  };
+  const { insertedId } = await col.insertOne(doc);
+  return { batch: { _id: insertedId, ...doc }, reused: false };
+}
+
+/** Make a batch the active one for its dataset and year. */
+async function activateBatch(col, batchId) {
+  const batch = await col.findOne({ _id: batchId });
+  if (!batch) throw new Error(`Import batch ${batchId} not found`);
+
+  await col.updateMany(
+    { dataset: batch.dataset, year: batch.year, active: true, _id: { $ne: batch._id } },
+    { $set: { active: false } }
+  );
+  await col.updateOne({ _id: batch._id }, { $set: { active: true, activated_at: new Date() } });
+  return { ...batch, active: true };
+}
+
+/**
+ * Re-activate the batch before the active one (or `toBatchId`).
+ * @returns {{ from: object|null, to: object }}
+ */
+async function rollbackBatch(col, dataset, year, toBatchId = null) {
+  const current = await col.findOne({ dataset, year, active: true });
+
+  const target = toBatchId
+    ? await col.findOne({ _id: toBatchId, dataset, year })
+    : await col.findOne(
+      { dataset, year, version: { $lt: current?.version ?? Infinity } },
+      { sort: { version: -1 } }
+    );
+  if (!target) throw new Error(`No earlier ${dataset} batch to roll back to for ${year}`);
+
+  return { from: current, to: await activateBatch(col, target._id) };
+}
+
+// ─── 3. QUERIES ───────────────────────────────────────────────────────────────
+
+/**
+ * The newest batch imported without being activated (a staged import),
+ * provided it is newer than the active batch. Batches that were active
+ * once and rolled back from are not considered staged.
+ */
+async function stagedBatch(col, dataset, year) {
+  const active = await col.findOne({ dataset, year, active: true });
+  return col.findOne(
+    { dataset, year, active: false, activated_at: { $exists: false }, version: { $gt: active?.version ?? 0 } },
+    { sort: { version: -1 } }
+  );
+}
+
+function listBatches(col, dataset, year) {
+  const filter = { dataset };
+  if (year) filter.year = year;
+  return col.find(filter).sort({ year: 1, version: -1 }).toArray();
+}
+
+/**
+ * The batch to read for each year: the active one, or the most recent one
+ * for years imported before versioning existed.
+ *
+ * @returns {Map<string, object>} year → batch
+ */
+async function activeBatches(col, dataset, year) {
+  const filter = { $or: [{ dataset }, { dataset: { $exists: false } }] };
+  if (year) filter.year = year;
+  const batches = await col.find(filter).toArray();
+
+  const byYear = new Map();
+  for (const b of batches.sort(byRecency)) {
+    const current = byYear.get(b.year);
+    if (!current || (b.active && !current.active)) byYear.set(b.year, b);
+  }
+  return byYear;
+}
+
+async function activeBatchFor(col, dataset, year) {
+  return (await activeBatches(col, dataset, year)).get(year) ?? null;
+}
+
+/**
+ * Query filter selecting the records of the active batches. Records stored
+ * before versioning (no batch field) stay visible for years that have no
+ * batch yet.
+ */
+async function activeRecordFilter(col, dataset, { year, batchField = 'batch', yearField = 'year' } = {}) {
+  const active = await activeBatches(col, dataset, year);
+  return {
+    $or: [
+      { [batchField]: { $in: [...active.values()].map(b => b._id) } },
+      { [batchField]: { $exists: false }, [yearField]: { $nin: [...active.keys()] } },
+    ],
+  };
+}
+
+/**
+ * What a --stage import left behind. A file imported before (same checksum)
+ * reuses its batch, so nothing new was staged: say so, and whether that
+ * batch is already the active one.
+ */
+function stagedMessage(dataset, year, { version, reused = false, active = false }) {
+  if (!reused) return `Staged as batch v${version}; activate it with: node cli.js apply ${dataset} -y ${year}`;
+  return active
+    ? `Same file as batch v${version}, which is already active for ${year}; nothing staged`
+    : `Same file as staged batch v${version}; nothing new staged — activate it with: node cli.js apply ${dataset} -y ${year}`;
+}
+
+module.exports = {
+  stagedMessage,
+  adoptLegacyBatches,
+  beginBatch,
+  activateBatch,
+  rollbackBatch,
+  listBatches,
+  stagedBatch,
+  activeBatches,
+  activeBatchFor,
+  activeRecordFilter,
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * importPreview.js
+ * Change preview for imports: what a workbook (or a staged batch) would
+ * add, drop and change compared with the data that is active right now.
+ *
+ * Used by the dry-run and staged modes of seed.js, publicdb.js and
+ * `node cli.js import … --dry-run | --stage`, and by `node cli.js apply`.
+ * The report has the same shape as a year comparison (yearCompare.js).
+ */
+
+const { compareYears, readActive, readBatch } = require('./yearCompare.js');
+
+/**
+ * Compare freshly parsed records with the active data of their year.
+ *
+ * @param {'labour'|'ssr'} kind
+ * @param {string} year
+ * @param {object[]} parsed   LabourRate records or SSR sections
+ * @param {object}   db       SSR database (native Db or mongoose connection);
+ *                            labour reads through the mongoose models
+ * @param {object}   [opts]
+ * @param {string}   [opts.source]  name of the workbook, for the report
+ */
+async function previewImport(kind, year, parsed, db, { source = null } = {}) {
+  const stored = await readActive(kind, year, db) ?? [];
+  return compareYears(kind, stored, parsed, {
+    from: `${year} (active)`,
+    to:   `${year} (${source ?? 'workbook'})`,
+  });
+}
+
+/** Compare a staged batch with the active data of its year. */
+async function previewBatch(kind, batch, db) {
+  const [stored, staged] = await Promise.all([readActive(kind, batch.year, db), readBatch(kind, batch, db)]);
+  return compareYears(kind, stored ?? [], staged, {
+    from: `${batch.year} (active)`,
+    to:   `${batch.year} (batch v${batch.version})`,
+  });
+}
+
+module.exports = { previewImport, previewBatch };
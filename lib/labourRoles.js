@@ -0,0 +1,177 @@
+'use strict';
+
+/**
+ * labourRoles.js
+ * Links phuse.js labour roles ("plumber 1st class", "man mazdoor" …) to
+ * LabourRate records (category / subCategory / description) for one year.
+ *
+ * Resolution order for a role:
+ *   1. normalise it ("Fitters II Class" → "fitter 2nd class")
+ *   2. try each candidate listed for it in labourRoleAliases.json
+ *   3. fall back to a LabourRate whose description equals the role, if
+ *      exactly one record matches
+ * Roles that still have no record are reported as unresolved.
+ *
+ * Usage:
+ *   node lib/labourRoles.js phuse_output.json 2005-06              # rates from MongoDB
+ *   node lib/labourRoles.js phuse_output.json 2005-06 flattened.json
+ */
+
+const fs              = require('fs');
+const DEFAULT_ALIASES = require('./labourRoleAliases.json');
+
+// ─── 1. NORMALISATION ─────────────────────────────────────────────────────────
+
+const PLURALS = { fitters: 'fitter', women: 'woman', sinkers: 'sinker', masons: 'mason', plumbers: 'plumber' };
+
+function normaliseRole(raw) {
+  return String(raw ?? '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')                        // "(water carrier)", "(bhandani)"
+    .replace(/\b(?:ii|2nd|second)\s+class\b/g, '2nd class')
+    .replace(/\b(?:i|1st|first)\s+class\b/g, '1st class')
+    .replace(/[^a-z0-9 ]+/g, ' ')
+    .split(/\s+/)
+    .map(w => PLURALS[w] ?? w)
+    .join(' ')
+    .trim();
+}
+
+const normText  = v => String(v ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+const recordKey = (category, subCategory, description) =>
+  [normText(category), normText(subCategory), normText(description)].join('|');
+
+// ─── 2. RESOLVER ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {object[]} labourRates  LabourRate documents (or flattened.json records)
+ * @param {object}   [opts]
+ * @param {string}   [opts.year]     only consider records of this year
+ * @param {object}   [opts.aliases]  alias table, defaults to labourRoleAliases.json
+ */
+function createRoleResolver(labourRates, { year, aliases = DEFAULT_ALIASES } = {}) {
+  const records = year ? labourRates.filter(r => r.year === year) : labourRates;
+
+  const byKey = new Map();
+  const byDescription = new Map();
+  for (const r of records) {
+    byKey.set(recordKey(r.category, r.subCategory, r.description), r);
+    const d = normaliseRole(r.description);
+    if (!byDescription.has(d)) byDescription.set(d, []);
+    byDescription.get(d).push(r);
+  }
+
+  const cache = new Map();
+
+  function resolve(role) {
+    const key = normaliseRole(role);
+    if (cache.has(key)) return cache.get(key);
+
+    let match = null;
+    for (const c of aliases[key] || []) {
+      const record = byKey.get(recordKey(c.category, c.subCategory, c.description));
+      if (record) {
+        match = { role: key, record, via: 'alias' };
+        break;
+      }
+    }
+    if (!match && byDescription.get(key)?.length === 1) {
+      match = { role: key, record: byDescription.get(key)[0], via: 'description' };
+    }
+
+    cache.set(key, match);
+    return match;
+  }
+
+  /** Rate lookup usable as `prices.labour` in rateAnalysis.js */
+  const rateFor = role => resolve(role)?.record.rate ?? null;
+
+  return { year: year ?? null, resolve, rateFor };
+}
+
+// ─── 3. ANALYSIS REPORT ───────────────────────────────────────────────────────
+
+/**
+ * Resolve every labour_role used in a phuse_output.json document.
+ * Returns the role → record mapping and the roles that could not be linked
+ * together with the sheet rows they occur on.
+ */
+function resolveAnalysisRoles(parsed, resolver) {
+  const occurrences = new Map();
+  const note = (inp) => {
+    if (!inp.labour_role) return;
+    const key = normaliseRole(inp.labour_role);
+    if (!occurrences.has(key)) occurrences.set(key, []);
+    occurrences.get(key).push(inp.row);
+  };
+
+  for (const item of parsed.items) {
+    (item.direct_labour || []).forEach(note);
+    for (const sub of item.sub_items) (sub.labour || []).forEach(note);
+  }
+
+  const resolved   = [];
+  const unresolved = [];
+  for (const [role, rows] of occurrences) {
+    const match = resolver.resolve(role);
+    if (match) {
+      const { _id, year, category, subCategory, description, unit, rate } = match.record;
+      resolved.push({ role, via: match.via, occurrences: rows.length, record: { _id, year, category, subCategory, description, unit, rate } });
+    } else {
+      unresolved.push({ role, occurrences: rows.length, rows });
+    }
+  }
+
+  return { year: resolver.year, resolved, unresolved };
+}
+
+// ─── 4. CLI RUNNER ────────────────────────────────────────────────────────────
+
+/** The active batch of `year` only: staged or rolled-back rates must not resolve roles. */
+async function loadLabourRates(year) {
+  const mongoose       = require('mongoose');
+  const config         = require('../config.js');
+  const { readActive } = require('./yearCompare.js');
+
+  await mongoose.connect(config.mongoUri, { dbName: config.labourDbName });
+  try {
+    return await readActive('labour', year) ?? [];
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+async function main() {
+  const [inputFile, year, ratesFile] = process.argv.slice(2);
+  if (!inputFile || !year) {
+    console.error('Usage: node lib/labourRoles.js <phuse_output.json> <year> [rates.json]');
+    process.exit(1);
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  const rates  = ratesFile
+    ? JSON.parse(fs.readFileSync(ratesFile, 'utf8'))
+    : await loadLabourRates(year);
+
+  const report = resolveAnalysisRoles(parsed, createRoleResolver(rates, { year }));
+
+  console.log(`Year ${year}: ${report.resolved.length} role(s) resolved, ${report.unresolved.length} unresolved\n`);
+  report.resolved.forEach(r => {
+    const { category, subCategory, description, rate } = r.record;
+    console.log(`  ✔ ${r.role.padEnd(22)} → ${category} / ${subCategory ?? '-'} / ${description}  (${rate})  [${r.via}]`);
+  });
+  report.unresolved.forEach(r => {
+    console.log(`  ✘ ${r.role.padEnd(22)}   ${r.occurrences} row(s), first at row ${r.rows[0]}`);
+  });
+
+  if (report.unresolved.length > 0) process.exitCode = 2;
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { normaliseRole, createRoleResolver, resolveAnalysisRoles, loadLabourRates };
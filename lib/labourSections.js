@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * labourSections.js
+ * Section / subsection header rules for labour-rate sheets, read from
+ * labourSections.json so new circular headings (Highly Skilled, Driver …)
+ * are added by editing the rules instead of seed.js.
+ *
+ * Usage:
+ *   const { createHeaderMatcher, CATEGORIES } = require('./lib/labourSections.js');
+ *   const match = createHeaderMatcher();
+ *   match('(B) SEMI-SKILLED WORKMEN')   // → { level: 'category', name: 'Semi-Skilled' }
+ *   match('Third Class')                // → null (unknown header)
+ */
+
+const DEFAULT_RULES = require('./labourSections.json');
+
+// ─── 1. HELPERS ───────────────────────────────────────────────────────────────
+
+/** "(A) Skilled Workmen :" → "skilled workmen" */
+function normaliseHeader(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/^\s*\(?[a-z0-9]{1,3}[).]\s*/, '')
+    .replace(/[\s:.-]+$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function compile(rules, level) {
+  return (rules || []).map(r => ({
+    level,
+    name:     r.name,
+    patterns: r.patterns.map(p => new RegExp(`^(?:${p})$`, 'i')),
+  }));
+}
+
+// ─── 2. MATCHER ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} [rules]  { categories, subCategories }, defaults to labourSections.json
+ * @returns {(text: string) => ({ level: 'category'|'subCategory', name: string }|null)}
+ */
+function createHeaderMatcher(rules = DEFAULT_RULES) {
+  const compiled = [...compile(rules.categories, 'category'), ...compile(rules.subCategories, 'subCategory')];
+
+  return function match(text) {
+    const header = normaliseHeader(text);
+    const rule = compiled.find(r => r.patterns.some(p => p.test(header)));
+    return rule ? { level: rule.level, name: rule.name } : null;
+  };
+}
+
+/** Category names, in rules-file order (the LabourRate category enum). */
+const CATEGORIES = DEFAULT_RULES.categories.map(c => c.name);
+
+module.exports = { createHeaderMatcher, normaliseHeader, CATEGORIES, DEFAULT_RULES };
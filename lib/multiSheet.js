@@ -0,0 +1,221 @@
+'use strict';
+
+/**
+ * multiSheet.js
+ * Whole-workbook parsing. Every parser reads one sheet (-s, default the
+ * first); SSR workbooks carry one chapter per sheet. parseSheets runs a
+ * parser over each selected sheet and joins what they found:
+ *
+ *   labour  the records of every sheet   (each has provenance.sheet)
+ *   pipe    items[]                      each tagged with its sheet
+ *   phe     items[]                      each tagged with its sheet; every
+ *                                        sheet keeps its own __COMMON__
+ *   ssr     sections[]                   each tagged with its sheet, ids
+ *                                        numbered through the workbook
+ *
+ * When sheets restart their numbering, the keys of pipe, phe and ssr are
+ * qualified with their sheet ("chapter-2:3a", "sheet2:PHE-LCIS-1"), so no
+ * item overwrites or shadows another.
+ *
+ * and a summary per sheet:
+ *
+ *   { sheet, index, status: parsed | empty | failed, records, year,
+ *     warnings, error }
+ *
+ * kept in `sheets` of the combined document (labour output is a bare array:
+ * the summary only comes back from parseSheets). A sheet its parser cannot
+ * read — a cover page, an abstract — is reported as failed and the rest go
+ * ahead; only a workbook where no sheet parses is an error. Sheets that
+ * disagree on the schedule year are an error too, unless a year is given.
+ *
+ * Usage:
+ *   const { parseSheets } = require('./lib/multiSheet.js');
+ *   const { data, sheets } = parseSheets('ssr', 'ssr_2005.xlsx', { sheets: 'Chapter*' });
+ *
+ *   node cli.js parse ssr -i ssr_2005.xlsx --sheets all
+ *   node cli.js parse ssr -i ssr_2005.xlsx --sheets "/^ch(apter)?\s*\d+/i"
+ */
+
+const fs = require('fs');
+const { loadWorkbook, selectSheets, sourceName } = require('./workbook.js');
+
+// ─── 1. ONE SHEET PER FORMAT ──────────────────────────────────────────────────
+// parse(input, opts) → { year, doc, records, keys, warnings }
+//   records  what the sheet contributes; keys  their item keys, for duplicates
+// combine(docs, { repeated }) → the combined document, without `sheets`
+//   repeated  some key is on more than one sheet
+
+const tagged = (list, sheet) => list.map(r => ({ ...r, sheet }));
+const sheetSlug = name => String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+/** `field` of a record, with its sheet in front when keys repeat across sheets. */
+const sheetKey = (repeated, field) => r => (repeated ? `${sheetSlug(r.sheet)}:${r[field]}` : r[field]);
+
+const FORMATS = {
+  labour: {
+    parse(input, opts) {
+      const { year, records, unknownHeaders } = require('../seed.js').parseLabourRates(input, opts);
+      return {
+        year,
+        doc:      records,
+        records,
+        keys:     [],
+        warnings: unknownHeaders.map(h => `unknown header at row ${h.row}: "${h.text}"`),
+      };
+    },
+    combine: docs => docs.flat(),
+  },
+
+  pipe: {
+    qualifies: true,
+    parse(input, opts) {
+      const { warnings, output } = require('../ph.js').convertWorkbook(input, opts);
+      const items = tagged(output.items, opts.sheet);
+      return { year: output.year, doc: { ...output, items }, records: items, keys: items.map(i => i.itemNo), warnings };
+    },
+    combine(docs, { repeated }) {
+      const { sheet, ...first } = docs[0];
+      const key = sheetKey(repeated, 'itemNo');
+      const items = docs.flatMap(d => d.items).map(i => ({ ...i, itemNo: key(i) }));
+      return { ...first, generatedAt: new Date().toISOString(), totalItems: items.length, items };
+    },
+  },
+
+  phe: {
+    qualifies: true,
+    parse(input, opts) {
+      const output = require('../phuse.js').convertToJSON(input, opts);
+      const items = tagged(output.items, opts.sheet);
+      const records = items.filter(i => i.index_code !== '__COMMON__');
+      return {
+        year:     null,
+        doc:      { ...output, items },
+        records,
+        keys:     records.map(i => i.index_code), // the common data is per sheet
+        warnings: [],
+      };
+    },
+    combine(docs, { repeated }) {
+      const { sheet, ...first } = docs[0];
+      const code = sheetKey(repeated, 'index_code');
+      const items = docs.flatMap(d => d.items)
+        .map(i => (i.index_code === '__COMMON__' ? i : { ...i, index_code: code(i) }));
+      return {
+        ...first,
+        parsed_at:       new Date().toISOString(),
+        total_items:     docs.reduce((n, d) => n + d.total_items, 0),
+        total_sub_items: docs.reduce((n, d) => n + d.total_sub_items, 0),
+        items,
+      };
+    },
+  },
+
+  ssr: {
+    qualifies: true,
+    parse(input, opts) {
+      const output = require('../publichealth.js').parsePublicHealthXLSX(input, opts);
+      const sections = tagged(output.sections, opts.sheet);
+      return { year: output.year, doc: { ...output, sections }, records: sections, keys: sections.map(s => s.item_key), warnings: [] };
+    },
+    combine(docs, { repeated }) {
+      const { sheet, ...first } = docs[0];
+      // ssr_sections holds one document per item_key: keys every sheet
+      // restarts would overwrite each other, so they carry their sheet
+      const key = sheetKey(repeated, 'item_key');
+      // section and item ids run on through the workbook, as in a single sheet
+      let sectionId = 0;
+      let itemId = 0;
+      const renumber = item => ({ ...item, id: ++itemId });
+      const sections = docs.flatMap(d => d.sections).map(s => ({
+        ...s,
+        id:           ++sectionId,
+        item_key:     key(s),
+        items:        s.items.map(renumber),
+        sub_sections: s.sub_sections.map(ss => ({ ...ss, items: ss.items.map(renumber) })),
+      }));
+      return { ...first, parsed_at: new Date().toISOString(), sections };
+    },
+  },
+};
+
+// ─── 2. WHOLE WORKBOOK ────────────────────────────────────────────────────────
+
+/**
+ * Parse several sheets of one workbook and join them.
+ *
+ * @param {'labour'|'pipe'|'phe'|'ssr'} format
+ * @param {string|Buffer|object} input  file path, Buffer or workbook
+ * @param {object} [opts]
+ * @param {string|string[]} [opts.sheets='all']  see selectSheets (workbook.js)
+ * @param {string} [opts.year]    schedule year for every sheet
+ * @param {string} [opts.source]  file name, when input is not a path
+ * @returns {{ data: object|object[], sheets: object[], year: string|null }}
+ */
+function parseSheets(format, input, { sheets: spec = 'all', year = null, source = null } = {}) {
+  const handler = FORMATS[format];
+  if (!handler) throw new Error(`Unknown format "${format}"`);
+
+  // read the file once; every sheet's parser gets the same bytes (and checksum)
+  const bytes = typeof input === 'string' ? fs.readFileSync(input) : input;
+  const file = sourceName(input, source);
+  const workbook = loadWorkbook(bytes);
+  const selected = selectSheets(workbook, spec);
+
+  const parsed = [];
+  const summary = selected.map(({ name }) => {
+    const entry = {
+      sheet:    name,
+      index:    workbook.SheetNames.indexOf(name),
+      status:   null,
+      records:  0,
+      year:     null,
+      warnings: [],
+      error:    null,
+    };
+    try {
+      const part = handler.parse(bytes, { sheet: name, year: year ?? undefined, source: file });
+      entry.records = part.records.length;
+      entry.year = part.year ?? null;
+      entry.warnings = part.warnings;
+      entry.status = part.records.length ? 'parsed' : 'empty';
+      if (part.records.length) parsed.push({ name, ...part });
+    } catch (err) {
+      entry.status = 'failed';
+      entry.error = err.message;
+    }
+    return entry;
+  });
+
+  if (parsed.length === 0) {
+    const why = summary.map(s => `${s.sheet}: ${s.error ?? 'nothing found'}`).join('; ');
+    throw new Error(`No ${format} data in ${selected.length} sheet(s) — ${why}`);
+  }
+
+  const years = [...new Set(parsed.map(p => p.year).filter(Boolean))];
+  if (years.length > 1) {
+    throw new Error(`Sheets are for different years (${parsed.map(p => `${p.name}: ${p.year}`).join(', ')}); pass --year or choose --sheets`);
+  }
+
+  // the same item on two sheets: the parsers only see one sheet at a time
+  const firstSheet = new Map();
+  let anyRepeated = false;
+  for (const p of parsed) {
+    const repeated = new Map(); // earlier sheet → keys
+    for (const key of p.keys) {
+      const other = firstSheet.get(key);
+      if (other && other !== p.name) repeated.set(other, [...(repeated.get(other) ?? []), key]);
+      else firstSheet.set(key, p.name);
+    }
+    const entry = summary.find(s => s.sheet === p.name);
+    repeated.forEach((keys, other) => entry.warnings.push(
+      `${keys.length} item(s) also on sheet "${other}": ${keys.slice(0, 5).join(', ')}${keys.length > 5 ? ', …' : ''}`
+      + (handler.qualifies ? ` (keys qualified with their sheet, e.g. "${sheetSlug(p.name)}:${keys[0]}")` : '')));
+    anyRepeated ||= repeated.size > 0;
+  }
+
+  const data = handler.combine(parsed.map(p => p.doc), { repeated: anyRepeated });
+  if ('year' in data) data.year = years[0] ?? null;
+  if (!Array.isArray(data)) data.sheets = summary;
+  return { data, sheets: summary, year: years[0] ?? null };
+}
+
+module.exports = { parseSheets };
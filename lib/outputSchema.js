@@ -0,0 +1,272 @@
+'use strict';
+
+/**
+ * outputSchema.js
+ * Schema validation of the converters' JSON output.
+ *
+ * One JSON Schema per output file lives in lib/schemas/:
+ *   labour  flattened.json             flattened.schema.json
+ *   pipe    output.json                output.schema.json
+ *   phe     phuse_output.json          phuse_output.schema.json
+ *   ssr     publichealth_parsed.json   publichealth_parsed.schema.json
+ *
+ * The validator covers the draft-07 keywords those schemas use (type, enum,
+ * const, not, required, properties, items, minItems, minLength, pattern,
+ * format date-time, minimum / maximum / exclusiveMinimum, $ref). A schema
+ * may nest an "x-warnings" sub-schema: what fails there is reported as a
+ * warning instead of an error (missing unit, empty rate list …).
+ *
+ * Every issue carries the JSON path and, where the data has one, the
+ * workbook row / cell it came from (provenance, or phuse's `row`).
+ *
+ * Usage:
+ *   const { checkOutput } = require('./lib/outputSchema.js');
+ *   const report = checkOutput('pipe', output, { output: 'output.json' });
+ *   if (!report.valid) process.exit(1);   // nothing written
+ *
+ *   node cli.js validate <labour|pipe|phe|ssr> -i file.json [-o report.json]
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas');
+
+const SCHEMA_FILES = {
+  labour: 'flattened.schema.json',
+  pipe:   'output.schema.json',
+  phe:    'phuse_output.schema.json',
+  ssr:    'publichealth_parsed.schema.json',
+};
+
+// ─── 1. SCHEMA LOADING ────────────────────────────────────────────────────────
+
+const cache = new Map();
+
+function loadSchema(file) {
+  if (!cache.has(file)) cache.set(file, JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8')));
+  return cache.get(file);
+}
+
+/** "#/$defs/item" or "other.schema.json#/$defs/x" → { schema, file } */
+function resolveRef(ref, file) {
+  const [target, pointer = ''] = ref.split('#');
+  const refFile = target || file;
+  const schema = pointer.split('/').filter(Boolean)
+    .reduce((node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], loadSchema(refFile));
+  if (!schema) throw new Error(`Unresolvable schema reference "${ref}" in ${file}`);
+  return { schema, file: refFile };
+}
+
+// ─── 2. VALIDATOR ─────────────────────────────────────────────────────────────
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+const matchesType = (value, type) =>
+  type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer');
+
+const show = v => (typeof v === 'string' && v.length > 40 ? JSON.stringify(`${v.slice(0, 40)}…`) : JSON.stringify(v));
+
+/**
+ * Validate `value` against `schema`; push { severity, path, message } per
+ * failed keyword. `ctx` carries the schema file (for $ref) and the nearest
+ * workbook location seen on the way down.
+ */
+function check(value, schema, ctx, pathStr, severity, out) {
+  if (schema.$ref) {
+    const { schema: target, file } = resolveRef(schema.$ref, ctx.file);
+    check(value, target, { ...ctx, file }, pathStr, severity, out);
+    return;
+  }
+
+  const fail = message => out.push({ severity, path: pathStr || '/', message, ...ctx.at });
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(t => matchesType(value, t))) {
+      fail(`must be ${types.join(' or ')} (got ${type === 'integer' ? 'number' : type})`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) fail(`must be ${show(schema.const)} (got ${show(value)})`);
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(show).join(', ')} (got ${show(value)})`);
+  }
+  if (schema.not) {
+    const inner = [];
+    check(value, schema.not, ctx, pathStr, severity, inner);
+    if (inner.length === 0) fail(`must not be ${show(value)}`);
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum != null && value < schema.minimum) fail(`must be ≥ ${schema.minimum} (got ${value})`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be ≤ ${schema.maximum} (got ${value})`);
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum} (got ${value})`);
+    }
+  }
+
+  if (type === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) fail('must not be empty');
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`${show(value)} does not match ${schema.pattern}`);
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) fail(`${show(value)} is not a date-time`);
+  }
+
+  if (type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} entries`);
+    }
+    if (schema.items) value.forEach((v, i) => visit(v, schema.items, ctx, `${pathStr}/${i}`, severity, out));
+  }
+
+  if (type === 'object') {
+    (schema.required ?? [])
+      .filter(key => !(key in value))
+      .forEach(key => fail(`missing required property "${key}"`));
+    for (const [key, sub] of Object.entries(schema.properties ?? {})) {
+      if (key in value) visit(value[key], sub, ctx, `${pathStr}/${key}`, severity, out);
+    }
+  }
+
+  if (schema['x-warnings']) check(value, schema['x-warnings'], ctx, pathStr, 'warning', out);
+}
+
+// Objects remember where in the workbook they came from
+function visit(value, schema, ctx, pathStr, severity, out) {
+  let at = ctx.at;
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (value.provenance?.row != null) at = { row: value.provenance.row, cell: value.provenance.cell ?? null };
+    else if (Number.isInteger(value.row)) at = { row: value.row, cell: null };
+  }
+  check(value, schema, { ...ctx, at }, pathStr, severity, out);
+}
+
+// ─── 3. CROSS-FIELD CHECKS ────────────────────────────────────────────────────
+// What a schema cannot say: totals that must match, keys that must be unique
+
+const rowOf = v => ({ row: v?.provenance?.row ?? v?.row ?? null, cell: v?.provenance?.cell ?? null });
+
+function duplicates(list, keyOf) {
+  const seen = new Set();
+  return list.map((v, i) => [keyOf(v), i]).filter(([k]) => (seen.has(k) ? true : (seen.add(k), false)));
+}
+
+const CHECKS = {
+  labour: data => duplicates(data, r => [r.year, r.category, r.subCategory, r.description].join('|').toLowerCase())
+    .map(([k, i]) => ({ severity: 'warning', path: `/${i}`, message: `duplicate labour rate "${data[i].description}"`, ...rowOf(data[i]) })),
+
+  pipe: (data) => {
+    const issues = [];
+    if (data.totalItems !== data.items.length) {
+      issues.push({ severity: 'error', path: '/totalItems', message: `is ${data.totalItems} but there are ${data.items.length} items` });
+    }
+    duplicates(data.items, i => i.itemNo).forEach(([k, i]) =>
+      issues.push({ severity: 'error', path: `/items/${i}/itemNo`, message: `duplicate item "${k}"` }));
+    data.items.forEach((item, n) => duplicates(item.rates, r => r.diameter).forEach(([d, i]) =>
+      issues.push({ severity: 'warning', path: `/items/${n}/rates/${i}`, message: `diameter ${d} listed twice`, ...rowOf(item.rates[i]) })));
+    return issues;
+  },
+
+  phe: (data) => {
+    const primaries = data.items.filter(i => i.index_code !== '__COMMON__');
+    const subs = primaries.reduce((n, i) => n + i.sub_items.length, 0);
+    const issues = [];
+    if (data.total_items !== primaries.length) {
+      issues.push({ severity: 'error', path: '/total_items', message: `is ${data.total_items} but there are ${primaries.length} items` });
+    }
+    if (data.total_sub_items !== subs) {
+      issues.push({ severity: 'error', path: '/total_sub_items', message: `is ${data.total_sub_items} but there are ${subs} sub-items` });
+    }
+    // every sheet of a workbook has its own common data
+    duplicates(data.items, i => (i.index_code === '__COMMON__' ? `${i.sheet ?? ''}|__COMMON__` : i.index_code)).forEach(([k, i]) =>
+      issues.push({ severity: 'error', path: `/items/${i}/index_code`, message: `duplicate index code "${data.items[i].index_code}"`, ...rowOf(data.items[i]) }));
+    return issues;
+  },
+
+  ssr: data => duplicates(data.sections, s => s.item_key).map(([k, i]) => ({
+    severity: 'error',
+    path:     `/sections/${i}/item_key`,
+    message:  `duplicate item "${k}"`,
+    ...rowOf(data.sections[i]),
+  })),
+};
+
+// ─── 4. REPORTS ───────────────────────────────────────────────────────────────
+
+/**
+ * Validate one converter output.
+ *
+ * @param {'labour'|'pipe'|'phe'|'ssr'} format
+ * @param {*} data          the document about to be written
+ * @param {object} [opts]
+ * @param {string} [opts.file]  file name recorded in the report
+ * @returns {{ format, schema, file, valid, errors, warnings, issues: object[] }}
+ *          issues: { severity: 'error'|'warning', path, message, row?, cell? }
+ */
+function validateOutput(format, data, { file = null } = {}) {
+  const schemaFile = SCHEMA_FILES[format];
+  if (!schemaFile) throw new Error(`No output schema for "${format}"`);
+
+  const issues = [];
+  visit(data, loadSchema(schemaFile), { file: schemaFile, at: {} }, '', 'error', issues);
+  try {
+    issues.push(...CHECKS[format](data));
+  } catch {
+    // shape too broken for the cross-field checks; the schema errors say why
+  }
+
+  const normalised = issues.map(({ severity, path: at, message, row = null, cell = null }) =>
+    ({ severity, path: at, message, row, cell }));
+  const errors = normalised.filter(i => i.severity === 'error').length;
+  return {
+    format,
+    schema:   `lib/schemas/${schemaFile}`,
+    file,
+    checked_at: new Date().toISOString(),
+    valid:    errors === 0,
+    errors,
+    warnings: normalised.length - errors,
+    issues:   normalised,
+  };
+}
+
+function formatIssue(issue) {
+  const where = issue.cell ?? (issue.row != null ? `row ${issue.row}` : null);
+  return `${issue.severity.toUpperCase()} ${issue.path}: ${issue.message}${where ? `  (${where})` : ''}`;
+}
+
+/** Print the issues of a report, the first `limit` of them. */
+function printIssues(report, { log = console, limit = 25 } = {}) {
+  report.issues.slice(0, limit).forEach(i => (i.severity === 'error' ? log.error : log.warn)(`  ${formatIssue(i)}`));
+  if (report.issues.length > limit) log.warn(`  … ${report.issues.length - limit} more issue(s) in the report`);
+}
+
+/** Where a failed run leaves its report: output.json → output.report.json */
+const reportPathFor = output => output.replace(/(\.json)?$/i, '.report.json');
+
+/**
+ * What the converters run before writing: validate, print the issues and
+ * write the JSON report — to `report` when given, otherwise next to
+ * `output` when there are errors. The caller writes its output only when
+ * the report is valid.
+ */
+function checkOutput(format, data, { output = null, report = null, log = console } = {}) {
+  const result = validateOutput(format, data, { file: output && path.basename(output) });
+  printIssues(result, { log });
+
+  const reportFile = report ?? (!result.valid && output ? reportPathFor(output) : null);
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify(result, null, 2), 'utf8');
+    log.log(`  Validation report: ${reportFile}`);
+  }
+  if (!result.valid) log.error(`  ${result.errors} schema error(s) — ${output ?? 'output'} not written`);
+  return result;
+}
+
+module.exports = { validateOutput, checkOutput, printIssues, formatIssue, reportPathFor, SCHEMA_FILES };
@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * pipeWeights.js
+ * Weight-based rates for lowering and laying C.I. / D.I. (and A.C.) pipes.
+ *
+ * phuse.xlsx prices laying by weight: the common-data block works out the
+ * labour for 10 m of 200 mm CI pipe (514 kg), "Rate for 1 kg = b/514", and
+ * items such as PHE-LCIS-1 charge that per-kg cost on the weight of each
+ * diameter ("Weight of 5m length = 85.5 kgs"):
+ *
+ *   per_kg    = reference cost / reference weight
+ *   labour    = weight × per_kg                  "(a) Labour charges for laying"
+ *   overheads = overheads × labour               "(b) Overheads & Contractors Profit"
+ *   total     = labour + overheads               "(c) Cost for 5 metres = a+b"
+ *   rate      = total / span                     "Rate per metre = c/5"
+ *
+ * A sub-item is weight-based when it has a weight and its laying charge is
+ * a line in kg (a kg of spun yarn does not count). Series headings such as
+ * "A  Class 10 & 15 pipes :" give the pipe_class of the rows below them.
+ * Diameters or pipe classes the sheet does not list are priced from a
+ * weight table alone:
+ *
+ *   { "index_code": "PHE-LCIS-1", "pipe_class": "K9", "span_m": 6,
+ *     "weights": [{ "diameter_mm": 350, "weight_kg": 362.5 }, …] }
+ *
+ * (or an array of such tables; a row may set its own span_m / pipe_class).
+ *
+ * Usage:
+ *   const { deriveWeightRates } = require('./lib/pipeWeights.js');
+ *   deriveWeightRates(phuseOutput, { labour: resolver.rateFor, overheads: 0.1 });
+ *
+ *   node cli.js weights [index-code] [-i phuse.xlsx|file.json] [--labour file] [-y year]
+ *                       [--weights table.json] [--overheads 0.1] [-o out.json]
+ */
+
+const { analyseItem } = require('./rateAnalysis.js');
+
+const REFERENCE = '__COMMON__';
+
+const round2 = n => Math.round(n * 100) / 100;
+const round4 = n => Math.round(n * 10000) / 10000;
+
+// ─── 1. REFERENCE ─────────────────────────────────────────────────────────────
+
+/**
+ * Labour cost of 1 kg from the reference analysis.
+ *
+ * @param {object} parsed  phuse_output.json
+ * @param {object} prices  as for rateAnalysis.js (labour / material); overheads are
+ *                         not applied — the sheet divides the bare cost "b"
+ * @param {object} [opts]
+ * @param {string} [opts.reference='__COMMON__']  index code of the reference analysis
+ * @param {number} [opts.weightKg]                its weight, when the sheet gives none
+ * @param {string} [opts.sheet]                   the one of this sheet, when a workbook
+ *                                                has several (parse --sheets)
+ */
+function referenceKgRate(parsed, prices = {}, { reference = REFERENCE, weightKg, sheet } = {}) {
+  const candidates = parsed.items.filter(i => i.index_code === reference);
+  const item = candidates.find(i => i.sheet === sheet) ?? candidates[0];
+  if (!item) throw new Error(`Reference analysis "${reference}" not found`);
+
+  const weight = weightKg ?? item.weight_kg?.value;
+  if (!(weight > 0)) throw new Error(`Reference analysis "${reference}" has no weight (row "Weight = … kgs")`);
+
+  // the common block is one pseudo sub-item; a sub-item reference uses its first
+  const [analysis] = analyseItem(item, { ...prices, overheads: 0 }).sub_items;
+  return {
+    index_code:  item.index_code,
+    ...(item.sheet ? { sheet: item.sheet } : {}),
+    description: item.description,
+    diameter_mm: item.diameter_mm ?? analysis.diameter_mm ?? null,
+    weight_kg:   weight,
+    span_m:      item.weight_kg?.span_m ?? item.rate_formula?.divisor ?? null,
+    cost:        analysis.total,
+    per_kg:      round4(analysis.total / weight),
+    complete:    analysis.complete,
+    unpriced:    analysis.unpriced,
+    row:         item.row,
+  };
+}
+
+// ─── 2. WEIGHT → RATE ─────────────────────────────────────────────────────────
+
+const RE_LAYING = /\blabour\b.*\blaying\b/i;
+const RE_CLASS  = /^class\s+(.+?)\s*(?:pipes?)?\s*:?\s*$/i;
+
+const kgLine = sub => [...(sub.labour ?? []), ...(sub.material ?? []), ...(sub.testing ?? [])]
+  .find(l => l.unit_normalized === 'kg' && (l.labour_role || RE_LAYING.test(l.description)));
+
+/** A sub-item charged by weight: "(a) Labour charges for laying  kgs  85.5" */
+const isWeightBased = sub => Boolean(sub.weight_kg?.value && kgLine(sub));
+
+/**
+ * Rate of one pipe from its weight.
+ *
+ * @param {object} row     { diameter_mm, weight_kg, span_m = 1, pipe_class, … }
+ * @param {number} perKg
+ * @param {object} [opts]  { overheads = 0 }
+ */
+function weightRate(row, perKg, { overheads = 0 } = {}) {
+  const span   = row.span_m ?? 1;
+  const labour = round2(row.weight_kg * perKg);
+  const extra  = round2(labour * overheads);
+  const total  = round2(labour + extra);
+  return {
+    sub_index:   row.sub_index ?? null,
+    description: row.description ?? (row.diameter_mm != null ? `${row.diameter_mm} mm dia pipe` : null),
+    diameter_mm: row.diameter_mm ?? null,
+    pipe_class:  row.pipe_class ?? null,
+    weight_kg:   row.weight_kg,
+    span_m:      span,
+    labour,
+    overheads:   { factor: overheads, amount: extra },
+    total,
+    rate:        round2(total / span),
+    output_unit: 'metre',
+    from:        row.from ?? 'table',
+    row:         row.row ?? null,
+  };
+}
+
+/** Weight rows of the weight-based sub-items of a phuse.js item. */
+function weightTable(item) {
+  let pipeClass = null; // from the last series heading
+  return item.sub_items.flatMap(sub => {
+    const heading = sub.description.trim().match(RE_CLASS);
+    if (heading && !sub.weight_kg) pipeClass = heading[1];
+    if (!isWeightBased(sub)) return [];
+    return [{
+      sub_index:   sub.sub_index,
+      description: sub.description,
+      diameter_mm: sub.diameter_mm,
+      weight_kg:   sub.weight_kg.value,
+      span_m:      sub.weight_kg.span_m ?? sub.rate_formula?.divisor ?? 1,
+      pipe_class:  pipeClass,
+      from:        'sheet',
+      row:         sub.row,
+    }];
+  });
+}
+
+/** A weight table (or an array of them) → flat rows with their table's defaults. */
+function tableRows(tables) {
+  return [].concat(tables).flatMap(t => {
+    if (!Array.isArray(t?.weights)) throw new Error('A weight table needs a "weights" array');
+    return t.weights.map((w, n) => {
+      if (!(w.weight_kg > 0)) throw new Error(`weights[${n}]: weight_kg must be a positive number`);
+      return {
+        index_code:  t.index_code ?? null,
+        pipe_class:  t.pipe_class ?? null,
+        span_m:      t.span_m ?? 1,
+        ...w,
+      };
+    });
+  });
+}
+
+/**
+ * Per-metre rates for weight rows against an already known per-kg cost —
+ * new diameters or pipe classes from nothing but their weights.
+ */
+function ratesFromWeights(tables, perKg, opts = {}) {
+  return tableRows(tables).map(row => ({ index_code: row.index_code, ...weightRate(row, perKg, opts) }));
+}
+
+// ─── 3. WHOLE ANALYSIS ────────────────────────────────────────────────────────
+
+const classKey = v => (v == null ? null : String(v).toLowerCase().replace(/\bclass\b|\s+/g, ''));
+const sameRow = (a, b) => a.diameter_mm === b.diameter_mm && classKey(a.pipe_class) === classKey(b.pipe_class);
+
+/**
+ * Per-kg cost from the reference, then a rate for every weight-based
+ * sub-item of the analysis plus the rows of `weights`. A table row for a
+ * diameter and class the sheet already has replaces the sheet's weight;
+ * the others follow the sheet's rows. Items of a multi-sheet document are
+ * priced from the common data of their own sheet (item.reference, where
+ * that is not the first).
+ *
+ * @param {object} parsed   phuse_output.json
+ * @param {object} prices   { labour, material, overheads } as for rateAnalysis.js
+ * @param {object} [opts]
+ * @param {string}   [opts.item]       only this index code
+ * @param {object|object[]} [opts.weights]  weight table(s)
+ * @param {string}   [opts.reference]  reference analysis (see referenceKgRate)
+ * @param {number}   [opts.weightKg]   its weight, when the sheet gives none
+ */
+function deriveWeightRates(parsed, prices = {}, { item: only = null, weights = [], ...refOpts } = {}) {
+  const reference = referenceKgRate(parsed, prices, refOpts);
+  const overheads = prices.overheads ?? 0;
+  const extra     = tableRows(weights);
+
+  const bySheet = new Map();
+  const referenceFor = sheet => {
+    if (sheet == null || sheet === reference.sheet) return reference;
+    if (!bySheet.has(sheet)) bySheet.set(sheet, referenceKgRate(parsed, prices, { ...refOpts, sheet }));
+    return bySheet.get(sheet);
+  };
+
+  const items = parsed.items
+    .filter(i => i.index_code !== reference.index_code && i.sub_items.some(isWeightBased))
+    .map(i => ({ index_code: i.index_code, description: i.description, notes: i.notes.map(n => n.text), sheet: i.sheet, rows: weightTable(i) }));
+
+  // table rows join their item (no index_code: the first weight-based one);
+  // an index code the sheet does not have starts its own group
+  for (const row of extra) {
+    let target = items.find(i => i.index_code === (row.index_code ?? items[0]?.index_code));
+    if (!target) items.push(target = { index_code: row.index_code, description: null, notes: [], rows: [] });
+    const at = target.rows.findIndex(r => sameRow(r, row));
+    if (at >= 0) target.rows[at] = { ...target.rows[at], ...row, from: 'table' };
+    else target.rows.push({ ...row, from: 'table' });
+  }
+
+  const selected = only ? items.filter(i => i.index_code === only) : items;
+  if (only && selected.length === 0) throw new Error(`No weight-based analysis "${only}"`);
+
+  return {
+    source:      parsed.source ?? null,
+    computed_at: new Date().toISOString(),
+    reference,
+    overheads,
+    items: selected.map(({ rows, sheet, ...i }) => {
+      const ref = referenceFor(sheet);
+      return {
+        ...i,
+        ...(ref !== reference ? { reference: ref } : {}),
+        sub_items: rows.map(row => weightRate(row, ref.per_kg, { overheads })),
+      };
+    }),
+  };
+}
+
+module.exports = { deriveWeightRates, referenceKgRate, ratesFromWeights, weightRate, weightTable, isWeightBased };
@@ -0,0 +1,267 @@
+'use strict';
+
+/**
+ * rateAnalysis.js
+ * Computes rates from the rate-analysis sub-items extracted by phuse.js.
+ *
+ * For each sub-item:
+ *   labour   = Σ quantity × labour rate      (looked up by labour_role)
+ *   material = Σ quantity × material price   (looked up by description)
+ *   testing  = Σ quantity × price            (looked up by description)
+ *   subtotal = labour + material + testing
+ *
+ * and then the sheet's own working (computation.steps), evaluated by
+ * computationGraph.js on these prices: its (a)/(b)/(c) chain decides what
+ * goes into the rate.
+ *   sundries  = its percentage rows         ("Add sundries at 1% …", "(e) Add
+ *                                             for water charges @ 1% on Labour
+ *                                             & Testing Charges")
+ *   overheads = its overheads rows          (prices.overheads where the row
+ *                                             gives no factor)
+ *   total     = what its rate row divides   ("(h) Cost for 10 joints")
+ *   rate      = total / divisor             ("Rate per joint = h/10")
+ *   steps     = every step with its value
+ *
+ * A sub-item without a rate row in its working is priced flat:
+ *   sundries  = Σ factor × subtotal
+ *   overheads = overheads × (subtotal + sundries)
+ *   total     = subtotal + sundries + overheads
+ *   rate      = total / divisor               (divisor of "Rate per metre = c/5")
+ *
+ * Lines that cannot be priced are listed under `unpriced` and counted as 0,
+ * so a partial price table still yields a (flagged) rate.
+ *
+ * Labour can be priced straight from LabourRate records by passing
+ * `createRoleResolver(rates, { year }).rateFor` (lib/labourRoles.js) as
+ * `prices.labour`.
+ *
+ * Usage:
+ *   node lib/rateAnalysis.js phuse_output.json prices.json [rates.json]
+ *
+ *   prices.json = { "labour": { "plumber 1st class": 156, … },
+ *                   "material": { "kerosene": 12.5, … },
+ *                   "overheads": 0.1 }
+ */
+
+const fs = require('fs');
+
+// ─── 1. HELPERS ───────────────────────────────────────────────────────────────
+
+const normKey = v => String(v ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+const round2  = n => Math.round(n * 100) / 100;
+
+/**
+ * Accepts a plain object, a Map or a lookup function and returns a
+ * function (key) → number|null with case/whitespace-insensitive keys.
+ */
+function makeLookup(source) {
+  if (!source) return () => null;
+  if (typeof source === 'function') return source;
+
+  const index = new Map();
+  const entries = source instanceof Map ? source.entries() : Object.entries(source);
+  for (const [k, v] of entries) {
+    if (typeof v === 'number' && !isNaN(v)) index.set(normKey(k), v);
+  }
+  return key => (index.has(normKey(key)) ? index.get(normKey(key)) : null);
+}
+
+// ─── 2. LINE PRICING ──────────────────────────────────────────────────────────
+
+function priceLines(inputs, lookup, kind, unpriced) {
+  const lines = (inputs || []).map(inp => {
+    const unitRate = lookup(inp);
+    const priced   = unitRate != null && inp.quantity != null;
+    const line = {
+      description: inp.description,
+      unit:        inp.unit_normalized ?? inp.unit ?? null,
+      quantity:    inp.quantity,
+      rate:        unitRate,
+      amount:      priced ? round2(inp.quantity * unitRate) : 0,
+      row:         inp.row,
+    };
+    if (inp.labour_role) line.labour_role = inp.labour_role;
+    if (!priced) {
+      unpriced.push({
+        kind,
+        description: inp.description,
+        row:         inp.row,
+        reason:      inp.quantity == null ? 'no quantity' : 'no rate',
+      });
+    }
+    return line;
+  });
+  const amount = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+  return { lines, amount };
+}
+
+// ─── 3. ANALYSIS ──────────────────────────────────────────────────────────────
+
+/**
+ * Compute an itemised rate for one phuse.js sub-item.
+ *
+ * @param {object} subItem  sub-item from phuse_output.json
+ * @param {object} prices
+ * @param {object|Map|Function} prices.labour     labour_role / description → rate per day
+ * @param {object|Map|Function} prices.material   description → price per unit
+ * @param {number} [prices.overheads=0]           overheads & contractor's profit as a fraction
+ */
+function analyseSubItem(subItem, prices = {}) {
+  const labourLookup   = makeLookup(prices.labour);
+  const materialLookup = makeLookup(prices.material);
+  const overheadRate   = prices.overheads ?? 0;
+  const unpriced       = [];
+
+  const byRoleOrDesc = inp => {
+    const byRole = inp.labour_role ? labourLookup(inp.labour_role, inp) : null;
+    return byRole ?? labourLookup(inp.description, inp);
+  };
+  const byDesc = inp => materialLookup(inp.description, inp);
+
+  const labour   = priceLines(subItem.labour,   byRoleOrDesc, 'labour',   unpriced);
+  const material = priceLines(subItem.material, byDesc,       'material', unpriced);
+  const testing  = priceLines(subItem.testing,  byDesc,       'testing',  unpriced);
+
+  const subtotal = round2(labour.amount + material.amount + testing.amount);
+
+  const header = {
+    sub_index:   subItem.sub_index,
+    description: subItem.description,
+    diameter_mm: subItem.diameter_mm ?? null,
+    output_unit: subItem.output_unit ?? null,
+    labour,
+    material,
+    testing,
+    subtotal,
+  };
+  const priced = { complete: unpriced.length === 0, unpriced };
+
+  const steps = subItem.computation?.steps ?? [];
+  const rateRow = [...steps].reverse().find(st => st.kind === 'rate');
+  if (rateRow) return { ...header, ...fromWorking(subItem, prices, rateRow), ...priced };
+
+  const sundries = (subItem.sundry || []).map(sd => ({
+    description: sd.description,
+    factor:      sd.factor,
+    amount:      round2(subtotal * (sd.factor ?? 0)),
+    row:         sd.row,
+  }));
+  const sundryAmount = round2(sundries.reduce((sum, sd) => sum + sd.amount, 0));
+
+  const overheads = round2((subtotal + sundryAmount) * overheadRate);
+  const total     = round2(subtotal + sundryAmount + overheads);
+  const divisor   = subItem.rate_formula?.divisor ?? 1;
+
+  return {
+    ...header,
+    sundries,
+    overheads:   { factor: overheadRate, amount: overheads },
+    total,
+    divisor,
+    rate:        round2(total / divisor),
+    ...priced,
+  };
+}
+
+/**
+ * Sundries, overheads, total and rate as the sheet's working has them,
+ * priced from the price table only (the sheet's own figures are checked by
+ * `node cli.js computation`, not used here).
+ */
+function fromWorking(subItem, prices, rateRow) {
+  // required here: computationGraph.js takes makeLookup from this module
+  const { evaluateComputation } = require('./computationGraph.js');
+  const { steps, findings } = evaluateComputation(subItem, prices, { fromSheet: false });
+
+  // values as the rate row saw them: a label used twice means its latest step
+  const upto = steps.findIndex(st => st.row === rateRow.row);
+  const values = new Map(steps.slice(0, upto).map(st => [st.id, st.value ?? 0]));
+  const of = kind => steps.slice(0, upto).filter(st => st.kind === kind);
+
+  const overheadRows = of('overheads');
+  const total = round2(rateRow.operands.reduce((sum, id) => sum + (values.get(id) ?? 0), 0));
+
+  return {
+    sundries:  of('percentage').map(st => ({ description: st.text, factor: st.factor ?? null, amount: st.value, row: st.row })),
+    overheads: {
+      factor: overheadRows[0]?.factor ?? prices.overheads ?? 0,
+      amount: round2(overheadRows.reduce((sum, st) => sum + st.value, 0)),
+    },
+    total,
+    divisor:  rateRow.divisor,
+    rate:     steps[upto].value,
+    steps:    steps.map(({ id, label, kind, text, row, value }) => ({ id, label, kind, text, row, value })),
+    findings,
+  };
+}
+
+/**
+ * Compute rates for every sub-item of a phuse.js primary item. Items that
+ * carry their inputs directly (e.g. the common-data block) are analysed as
+ * a single pseudo sub-item.
+ */
+function analyseItem(item, prices = {}) {
+  const subItems = item.sub_items.length > 0
+    ? item.sub_items
+    : [{
+      sub_index:    null,
+      description:  item.description,
+      labour:       item.direct_labour,
+      material:     item.direct_material,
+      testing:      [],
+      sundry:       [],
+      rate_formula: null,
+      output_unit:  null,
+      computation:  item.computation,
+    }];
+
+  return {
+    index_code:  item.index_code,
+    description: item.description,
+    sub_items:   subItems.map(sub => analyseSubItem(sub, prices)),
+  };
+}
+
+/**
+ * Compute rates for a whole phuse_output.json document.
+ */
+function analyseAll(parsed, prices = {}) {
+  const items = parsed.items.map(item => analyseItem(item, prices));
+  const subs  = items.flatMap(i => i.sub_items);
+  return {
+    source:          parsed.source,
+    computed_at:     new Date().toISOString(),
+    total_items:     items.length,
+    total_sub_items: subs.length,
+    complete:        subs.filter(s => s.complete).length,   // sub-items
+    incomplete:      subs.filter(s => !s.complete).length,
+    items,
+  };
+}
+
+// ─── 4. CLI RUNNER ────────────────────────────────────────────────────────────
+
+function main() {
+  const [inputFile, pricesFile, outputFile = 'phuse_rates.json'] = process.argv.slice(2);
+  if (!inputFile || !pricesFile) {
+    console.error('Usage: node lib/rateAnalysis.js <phuse_output.json> <prices.json> [rates.json]');
+    process.exit(1);
+  }
+
+  const parsed = JSON.parse(fs.readFileSync(inputFile, 'utf8'));
+  const prices = JSON.parse(fs.readFileSync(pricesFile, 'utf8'));
+  const result = analyseAll(parsed, prices);
+  fs.writeFileSync(outputFile, JSON.stringify(result, null, 2), 'utf8');
+
+  console.log('Done.');
+  console.log(`  Items         : ${result.total_items}`);
+  console.log(`  Sub-items     : ${result.total_sub_items}`);
+  console.log(`    fully priced: ${result.complete}`);
+  console.log(`    incomplete  : ${result.incomplete}`);
+  console.log(`  Output        : ${outputFile}`);
+}
+
+module.exports = { analyseSubItem, analyseItem, analyseAll, makeLookup };
+
+// after the exports: computationGraph.js requires this module back
+if (require.main === module) main();
@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * rateAnomalies.js
+ * Finds rates that look like parsing mistakes and ranks the rows to check.
+ *
+ * Checks, per dataset kind:
+ *   monotonic   pipe / ssr  a step against the direction of its series
+ *                           (350 mm cheaper than 300 mm; per-litre tank rates
+ *                           that fall with capacity are a falling series)
+ *   outlier     all         a rate far off what its neighbours predict
+ *                           (diameter series) or its group's median (labour)
+ *   grade       labour      a trade paid less in First Class than in Second
+ *                           Class / Semi-Skilled, or a grade's rate outside
+ *                           the range of the grades around it
+ *   duplicate   all         the same row key twice (conflicting rates rank higher)
+ *
+ * Every finding scores |ln(ratio)| of the rates involved; a row's score is
+ * the sum over its findings, so rows hit by several checks rank first.
+ *
+ * Usage:
+ *   const { findAnomalies } = require('./lib/rateAnomalies.js');
+ *   findAnomalies('pipe', output).suspects[0]
+ *   // → { key, label, rate, provenance, score, findings: [{ check, message, score }] }
+ *
+ *   node cli.js anomalies <labour|pipe|ssr> [-i file] [-y year] [-o report.json]
+ */
+
+const { labourRows, pipeRows, ssrRows } = require('./yearCompare.js');
+const { parseDimension, INCREMENT_RE } = require('./diameterLookup.js');
+const { normaliseRole } = require('./labourRoles.js');
+
+const DEFAULTS = {
+  outlierRatio: 2.5,   // interior point vs. the line through its neighbours
+  endRatio:     3,     // first / last point vs. its only neighbour
+  groupRatio:   2.5,   // labour rate vs. its category median
+};
+
+// ─── 1. HELPERS ───────────────────────────────────────────────────────────────
+
+const round2 = n => Math.round(n * 100) / 100;
+const score  = ratio => round2(Math.abs(Math.log(ratio)));
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** Position of a dimension on its axis: 150 → 150, "From 2 to 4 m" → 3. */
+function positionOf(dimension) {
+  // "for every additional 1 m over item 'c'" prices an increment, not a point
+  if (INCREMENT_RE.test(dimension ?? '')) return null;
+  const dim = parseDimension(dimension);
+  if (!dim) return null;
+  switch (dim.kind) {
+    case 'exact':  return dim.value;
+    case 'range':  return (dim.min + dim.max) / 2;
+    case 'upto':   return dim.max / 2;
+    case 'beyond': return dim.min * 1.5;
+    default:       return null;
+  }
+}
+
+// ─── 2. SERIES CHECKS (pipe / ssr) ────────────────────────────────────────────
+
+/**
+ * Rate series along a dimension: one per pipe item, one per SSR section and
+ * sub-section. Points: { row, x, rate } with `row` the flattened row.
+ */
+function seriesOf(kind, data) {
+  const rows = kind === 'pipe' ? pipeRows(data) : ssrRows(data.sections ?? data);
+  const groups = new Map();
+  for (const row of rows) {
+    if (typeof row.rate !== 'number' || row.rate <= 0) continue;
+    const x = kind === 'pipe' ? row.label.diameter : positionOf(row.label.dimension);
+    if (x == null) continue;
+    const group = kind === 'pipe' ? row.label.itemNo : `${row.label.item_key}|${row.label.sub_id ?? ''}`;
+    if (!groups.has(group)) groups.set(group, new Map());
+    // a repeated position is the duplicate check's business; keep the first
+    if (!groups.get(group).has(x)) groups.get(group).set(x, { row, x, rate: row.rate });
+  }
+  return [...groups.values()]
+    .map(points => [...points.values()].sort((a, b) => a.x - b.x))
+    .filter(points => points.length >= 3);
+}
+
+const describePoint = p => p.row.label.diameter ?? p.row.label.dimension;
+
+function checkMonotonic(series, add) {
+  const steps = series.slice(1).map((p, i) => Math.sign(p.rate - series[i].rate));
+  const up = steps.filter(s => s > 0).length;
+  const down = steps.filter(s => s < 0).length;
+  if (up === down) return; // no clear direction
+  const direction = up > down ? 1 : -1;
+
+  steps.forEach((step, i) => {
+    if (step !== -direction) return;
+    const prev = series[i];
+    const cur  = series[i + 1];
+    const finding = {
+      check:   'monotonic',
+      message: `${describePoint(cur)} is ${direction > 0 ? 'cheaper' : 'dearer'} than ${describePoint(prev)} ` +
+        `(${round2(cur.rate)} vs ${round2(prev.rate)}) in a ${direction > 0 ? 'rising' : 'falling'} series`,
+      score:   score(cur.rate / prev.rate),
+    };
+    // either side of the step may be the wrong one; the outlier check tells which
+    add(prev.row, { ...finding, related: [cur.row.key] });
+    add(cur.row, { ...finding, related: [prev.row.key] });
+  });
+}
+
+/**
+ * Expected rate of a point: the median of up to two neighbours on each side,
+ * so one bad rate does not drag its neighbours into the report with it.
+ */
+function checkSeriesOutliers(series, add, { outlierRatio, endRatio }) {
+  series.forEach((p, i) => {
+    const neighbours = [...series.slice(Math.max(0, i - 2), i), ...series.slice(i + 1, i + 3)];
+    const expected = median(neighbours.map(n => n.rate));
+    const limit = i === 0 || i === series.length - 1 ? endRatio : outlierRatio;
+    const ratio = p.rate / expected;
+    if (ratio >= limit || ratio <= 1 / limit) {
+      add(p.row, {
+        check:   'outlier',
+        message: `${round2(p.rate)} at ${describePoint(p)} is ${round2(ratio)}× what its neighbours suggest (${round2(expected)})`,
+        score:   score(ratio),
+        related: neighbours.map(n => n.row.key),
+      });
+    }
+  });
+}
+
+// ─── 3. LABOUR CHECKS ─────────────────────────────────────────────────────────
+
+/** Higher rank = higher skill; categories without grades have no rank. */
+function gradeRank(r) {
+  if (r.category === 'Skilled' && r.subCategory === 'First Class') return 3;
+  if (r.category === 'Skilled' && r.subCategory === 'Second Class') return 2;
+  if (r.category === 'Semi-Skilled') return 2;
+  if (r.category === 'Unskilled') return 1;
+  return null;
+}
+
+const GRADE_NAMES = { 1: 'Unskilled', 2: 'Second Class', 3: 'First Class' };
+
+function checkGrades(rows, add) {
+  const ranked = rows
+    .map(row => ({ row, rank: gradeRank(row.label), rate: row.rate }))
+    .filter(r => r.rank != null && typeof r.rate === 'number');
+
+  // Same trade in two grades: the higher grade must not be paid less
+  const byTrade = new Map();
+  ranked.forEach(r => {
+    const trade = normaliseRole(r.row.label.description);
+    if (!byTrade.has(trade)) byTrade.set(trade, []);
+    byTrade.get(trade).push(r);
+  });
+  for (const entries of byTrade.values()) {
+    for (const hi of entries) {
+      for (const lo of entries.filter(e => e.rank < hi.rank && e.rate > hi.rate)) {
+        add(hi.row, {
+          check:   'grade',
+          message: `${hi.row.label.description} pays ${hi.rate} in ${GRADE_NAMES[hi.rank]} but ${lo.rate} in ${GRADE_NAMES[lo.rank]}`,
+          score:   score(lo.rate / hi.rate),
+          related: [lo.row.key],
+        });
+      }
+    }
+  }
+
+  // A rate outside the range of the grades above and below it
+  const byRank = new Map();
+  ranked.forEach(r => byRank.set(r.rank, [...byRank.get(r.rank) ?? [], r.rate]));
+  for (const r of ranked) {
+    const above = byRank.get(r.rank + 1);
+    const below = byRank.get(r.rank - 1);
+    if (above && r.rate > Math.max(...above)) {
+      add(r.row, {
+        check:   'grade',
+        message: `${r.rate} (${GRADE_NAMES[r.rank]}) is above every ${GRADE_NAMES[r.rank + 1]} rate (max ${Math.max(...above)})`,
+        score:   score(r.rate / Math.max(...above)),
+      });
+    }
+    if (below && r.rate < Math.min(...below)) {
+      add(r.row, {
+        check:   'grade',
+        message: `${r.rate} (${GRADE_NAMES[r.rank]}) is below every ${GRADE_NAMES[r.rank - 1]} rate (min ${Math.min(...below)})`,
+        score:   score(Math.min(...below) / r.rate),
+      });
+    }
+  }
+}
+
+function checkGroupOutliers(rows, add, { groupRatio }) {
+  const groups = new Map();
+  rows.filter(r => typeof r.rate === 'number' && r.rate > 0).forEach(r => {
+    const group = `${r.label.category}|${r.label.subCategory ?? ''}`;
+    groups.set(group, [...groups.get(group) ?? [], r]);
+  });
+  for (const members of groups.values()) {
+    if (members.length < 3) continue;
+    const mid = median(members.map(m => m.rate));
+    members.forEach(m => {
+      const ratio = m.rate / mid;
+      if (ratio >= groupRatio || ratio <= 1 / groupRatio) {
+        add(m, {
+          check:   'outlier',
+          message: `${m.rate} is ${round2(ratio)}× the ${m.label.category}${m.label.subCategory ? ` / ${m.label.subCategory}` : ''} median (${mid})`,
+          score:   score(ratio),
+        });
+      }
+    });
+  }
+}
+
+// ─── 4. DUPLICATES ────────────────────────────────────────────────────────────
+
+function checkDuplicates(rows, add) {
+  const seen = new Map();
+  for (const row of rows) {
+    const first = seen.get(row.key);
+    if (!first) {
+      seen.set(row.key, row);
+      continue;
+    }
+    const numeric = typeof row.rate === 'number' && typeof first.rate === 'number' && row.rate > 0 && first.rate > 0;
+    const conflicting = row.rate !== first.rate;
+    add(row, {
+      check:   'duplicate',
+      message: conflicting
+        ? `listed twice with different rates (${first.rate} and ${row.rate})`
+        : `listed twice (rate ${row.rate})`,
+      // a conflicting duplicate outranks a repeated one
+      score:   round2(0.5 + (conflicting ? 1 : 0) + (numeric ? score(row.rate / first.rate) : 0)),
+      related: [first.key],
+    });
+  }
+}
+
+// ─── 5. ANALYSIS ──────────────────────────────────────────────────────────────
+
+const FLATTEN = { labour: labourRows, pipe: pipeRows, ssr: data => ssrRows(data.sections ?? data) };
+
+/**
+ * @param {'labour'|'pipe'|'ssr'} kind
+ * @param {*} data     LabourRate records, output.json, or SSR sections / parsed JSON
+ * @param {object} [thresholds]  overrides of DEFAULTS
+ * @returns {{ kind, checked, suspects: object[], by_check: object }}
+ */
+function findAnomalies(kind, data, thresholds = {}) {
+  const flatten = FLATTEN[kind];
+  if (!flatten) throw new Error(`Unknown dataset kind "${kind}"`);
+  const opts = { ...DEFAULTS, ...thresholds };
+  const rows = flatten(data);
+
+  // Findings collect per row; the same row may be hit by several checks
+  const suspects = new Map();
+  const add = (row, finding) => {
+    if (!suspects.has(row)) {
+      suspects.set(row, { key: row.key, label: row.label, rate: row.rate, provenance: row.provenance, score: 0, findings: [] });
+    }
+    const s = suspects.get(row);
+    s.findings.push({ related: [], ...finding });
+    s.score = round2(s.score + finding.score);
+  };
+
+  if (kind === 'labour') {
+    checkGrades(rows, add);
+    checkGroupOutliers(rows, add, opts);
+  } else {
+    for (const series of seriesOf(kind, data)) {
+      checkMonotonic(series, add);
+      checkSeriesOutliers(series, add, opts);
+    }
+  }
+  checkDuplicates(rows, add);
+
+  const ranked = [...suspects.values()].sort((a, b) => b.score - a.score);
+  const by_check = {};
+  ranked.forEach(s => s.findings.forEach(f => { by_check[f.check] = (by_check[f.check] ?? 0) + 1; }));
+  return { kind, checked: rows.length, suspects: ranked, by_check };
+}
+
+module.exports = { findAnomalies, gradeRank, DEFAULTS };
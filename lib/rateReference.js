@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * rateReference.js
+ * Non-numeric SSR rates ("As per common SSR", "25% extra over relevant SSR
+ * item", "Observed data only" …) as structured references.
+ *
+ * classifyRate() turns the text into one of
+ *   cross_reference  rate lives in another schedule      { schedule, item }
+ *   percentage       n% of / n% extra over another rate   { percent, mode: 'of'|'extra', base, item }
+ *   per_range        amount per step of a range           { amount, per }
+ *   site_data        observed data, quotations, separate sheets — no schedule
+ *                    can supply it                         { source }
+ *   deleted          item withdrawn from the schedule
+ *   unknown          anything else
+ * and the parsers store it next to the rate as `rate_ref`.
+ *
+ * resolveRate() follows a reference to a number when the referenced
+ * schedule is loaded; referenceReport() lists what resolved and what did not.
+ *
+ * Usage:
+ *   node cli.js refs [-i publichealth.xlsx] [--common common_ssr.json]
+ */
+
+// ─── 1. CLASSIFICATION ────────────────────────────────────────────────────────
+
+const ITEM_RE = /\bitem\s*(?:no\.?\s*)?([0-9]+(?:\s*\.?\s*[a-z0-9]+)*)/i;
+const itemOf  = text => ITEM_RE.exec(text)?.[1]?.replace(/\s+/g, '') ?? null;
+
+const RULES = [
+  {
+    type: 'percentage',
+    re:   /^(\d+(?:\.\d+)?)\s*%\s*(extra\s+over|of(?:\s+data\s+of)?|over)\s+(?:the\s+)?(.+?)\.?$/i,
+    make: m => ({
+      percent: Number(m[1]),
+      mode:    /^of/i.test(m[2]) ? 'of' : 'extra',
+      base:    m[3].trim(),
+      item:    itemOf(m[3]),
+    }),
+  },
+  {
+    type: 'cross_reference',
+    re:   /^(?:as\s+per|relevant)\s+(?:the\s+)?(common|general|building)\s+ssr\b(.*)$/i,
+    make: m => ({ schedule: `${m[1].toLowerCase()}_ssr`, item: itemOf(m[2]) }),
+  },
+  {
+    type: 'per_range',
+    re:   /^(?:rs\.?\s*)?(\d+(?:\.\d+)?)\s*(?:\/-)?\s*(?:per|for\s+every)\s+(?:additional\s+)?(.+?)\.?$/i,
+    make: m => ({ amount: Number(m[1]), per: m[2].trim() }),
+  },
+  {
+    type: 'deleted',
+    re:   /^deleted\.?$/i,
+    make: () => ({}),
+  },
+  {
+    type: 'site_data',
+    re:   /observed\s+data|competitive\s+quotations?|separate\s+sheet|market\s+rate/i,
+    make: (m, text) => ({
+      source: /observed/i.test(text) ? 'observed_data' : /quotation/i.test(text) ? 'quotations' : 'separate_sheet',
+    }),
+  },
+];
+
+/**
+ * @param {string|number|null} raw  rate cell value
+ * @returns {object|null} { type, text, …fields } (null for numbers / blanks)
+ */
+function classifyRate(raw) {
+  if (raw == null || typeof raw === 'number') return null;
+  const text = String(raw).replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+
+  for (const rule of RULES) {
+    const m = rule.re.exec(text);
+    if (m) return { type: rule.type, text, ...rule.make(m, text) };
+  }
+  return { type: 'unknown', text };
+}
+
+/**
+ * Attach `rate_ref` to every section / item whose rate is text.
+ * Used by publichealth.js and publicdb.js after parsing.
+ */
+function annotateReferences(sections) {
+  const annotate = (entry) => {
+    const ref = classifyRate(entry.rate);
+    if (ref) entry.rate_ref = ref;
+  };
+  for (const sec of sections) {
+    annotate(sec);
+    sec.items.forEach(annotate);
+    sec.sub_sections.forEach(ss => ss.items.forEach(annotate));
+  }
+  return sections;
+}
+
+// ─── 2. RESOLUTION ────────────────────────────────────────────────────────────
+
+const normKey = v => String(v ?? '').replace(/[\s.]/g, '').toLowerCase();
+const normText = v => String(v ?? '').toLowerCase().replace(/^\s*[a-z0-9]{1,2}[.)]\s*/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+const round2 = n => Math.round(n * 100) / 100;
+
+/**
+ * Find a numeric rate in a list of sections by item number, optionally
+ * narrowed by the description of the row (dimension or section title).
+ */
+function findInSchedule(sections, { item = null, description = null } = {}) {
+  const entries = [];
+  for (const sec of sections) {
+    entries.push({ sec, entry: sec });
+    sec.items.forEach(e => entries.push({ sec, entry: e }));
+    sec.sub_sections.forEach(ss => ss.items.forEach(e => entries.push({ sec, entry: e })));
+  }
+  const numeric = entries.filter(({ entry }) => typeof entry.rate === 'number');
+
+  const byItem = item ? numeric.filter(({ sec }) => normKey(sec.item_key) === normKey(item)) : numeric;
+  if (item && byItem.length === 1) return byItem[0].entry;
+
+  const wanted = normText(description);
+  if (!wanted) return null;
+  const byDesc = byItem.filter(({ sec, entry }) =>
+    normText(entry.dimension) === wanted || (entry === sec && normText(sec.title) === wanted));
+  return byDesc.length === 1 ? byDesc[0].entry : null;
+}
+
+/**
+ * Rate of a schedule entry, following its reference when it has one.
+ *
+ * @param {object} entry         section or item ({ rate, rate_ref?, dimension?, title? })
+ * @param {object} [ctx]
+ * @param {object[]} [ctx.sections]   the schedule the entry belongs to
+ * @param {object}   [ctx.schedules]  other loaded schedules: { common_ssr: sections[] }
+ * @param {number}   [ctx.baseRate]   base rate for "n% extra over relevant item"
+ *                                    when the caller knows the relevant item
+ * @returns {{ value: number|null, resolved: boolean, via: string, reason?: string }}
+ */
+function resolveRate(entry, { sections = [], schedules = {}, baseRate = null } = {}) {
+  if (typeof entry.rate === 'number') return { value: entry.rate, resolved: true, via: 'numeric' };
+  const ref = entry.rate_ref ?? classifyRate(entry.rate);
+  if (!ref) return { value: null, resolved: false, via: 'none', reason: 'no rate' };
+
+  const unresolved = reason => ({ value: null, resolved: false, via: ref.type, reason });
+
+  switch (ref.type) {
+    case 'cross_reference': {
+      const schedule = schedules[ref.schedule];
+      if (!schedule) return unresolved(`${ref.schedule} schedule not loaded`);
+      const target = findInSchedule(schedule.sections ?? schedule, {
+        item:        ref.item,
+        description: entry.dimension ?? entry.title,
+      });
+      return target
+        ? { value: target.rate, resolved: true, via: `${ref.schedule}${ref.item ? ` item ${ref.item}` : ''}` }
+        : unresolved(`no matching rate in ${ref.schedule}`);
+    }
+
+    case 'percentage': {
+      let base = baseRate;
+      if (base == null && ref.item) base = findInSchedule(sections, { item: ref.item })?.rate ?? null;
+      if (base == null) return unresolved(`base rate unknown ("${ref.base}")`);
+      const value = ref.mode === 'of' ? base * ref.percent / 100 : base * (1 + ref.percent / 100);
+      return { value: round2(value), resolved: true, via: `${ref.percent}% ${ref.mode === 'of' ? 'of' : 'extra over'} ${base}` };
+    }
+
+    case 'per_range':
+      return unresolved(`rate is per ${ref.per}; quantity of steps needed`);
+
+    case 'site_data':
+      return unresolved(`needs ${ref.source.replace('_', ' ')}`);
+
+    case 'deleted':
+      return unresolved('item deleted from the schedule');
+
+    default:
+      return unresolved('unrecognised rate text');
+  }
+}
+
+/**
+ * Every text rate of a schedule with its resolution.
+ * @returns {{ total, resolved: object[], unresolved: object[], by_type: object }}
+ */
+function referenceReport(sections, ctx = {}) {
+  const rows = [];
+  const visit = (sec, subId, entry) => {
+    if (entry.rate == null || typeof entry.rate === 'number') return;
+    const ref = entry.rate_ref ?? classifyRate(entry.rate);
+    rows.push({
+      item_key:  sec.item_key,
+      sub_id:    subId,
+      dimension: entry === sec ? null : entry.dimension ?? null,
+      text:      ref.text,
+      type:      ref.type,
+      ...resolveRate(entry, { sections, ...ctx }),
+      provenance: entry.provenance ?? null,
+    });
+  };
+  for (const sec of sections) {
+    visit(sec, null, sec);
+    sec.items.forEach(e => visit(sec, null, e));
+    sec.sub_sections.forEach(ss => ss.items.forEach(e => visit(sec, ss.sub_id, e)));
+  }
+
+  const by_type = {};
+  rows.forEach(r => { by_type[r.type] = (by_type[r.type] ?? 0) + 1; });
+  return {
+    total:      rows.length,
+    by_type,
+    resolved:   rows.filter(r => r.resolved),
+    unresolved: rows.filter(r => !r.resolved),
+  };
+}
+
+module.exports = { classifyRate, annotateReferences, resolveRate, referenceReport, findInSchedule };
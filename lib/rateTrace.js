@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * rateTrace.js
+ * From a rate back to the workbook cell it was read from.
+ *
+ * Every parser stamps its rates with
+ *   provenance: { file, sheet, row, cell, checksum }
+ * (lib/workbook.js provenanceFor). This module finds rates by text and/or
+ * value in any parsed dataset and reports where they came from.
+ *
+ * Usage:
+ *   const { traceRates, formatProvenance } = require('./lib/rateTrace.js');
+ *   traceRates('labour', records, { q: 'plumber', rate: 156 })
+ *
+ *   node cli.js trace labour plumber --rate 156
+ */
+
+const { labourRows, pipeRows, ssrRows } = require('./yearCompare.js');
+
+const FLATTENERS = { labour: labourRows, pipe: pipeRows, ssr: data => ssrRows(data.sections ?? data) };
+
+const norm = v => String(v ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// free text is searched; item numbers, dimensions and units must match whole
+// ("8a" is not "18a"), item keys with or without their sheet ("chapter-2:8a")
+const TEXT_LABELS = new Set(['category', 'subCategory', 'description']);
+const labelMatches = (field, value, needle) => {
+  if (TEXT_LABELS.has(field)) return norm(value).includes(needle);
+  return norm(value) === needle || norm(value).replace(/^[a-z0-9-]+:/, '') === needle;
+};
+
+/**
+ * @param {'labour'|'pipe'|'ssr'} kind
+ * @param {object} data       parsed records / output.json / sections
+ * @param {object} [query]
+ * @param {string} [query.q]     text found in a description / category, or
+ *                               an item no, dimension or unit as a whole
+ * @param {number} [query.rate]  exact rate value
+ * @returns {object[]} label fields + { rate, provenance }
+ */
+function traceRates(kind, data, { q = null, rate = null } = {}) {
+  const flatten = FLATTENERS[kind];
+  if (!flatten) throw new Error(`Unknown dataset kind "${kind}"`);
+
+  const needle = norm(q);
+  return flatten(data)
+    .filter(r => !needle || Object.entries(r.label).some(([field, v]) => labelMatches(field, v, needle)))
+    .filter(r => rate == null || r.rate === rate)
+    .map(r => ({ ...r.label, rate: r.rate, provenance: r.provenance }));
+}
+
+/** "labourrates.xlsx › Sheet1!E5 (sha256 78af9dc839c6…)" */
+function formatProvenance(p) {
+  if (!p) return '(no provenance — imported before it was recorded)';
+  const where = p.cell ?? `row ${p.row}`;
+  const sum   = p.checksum ? ` (sha256 ${p.checksum.slice(0, 12)}…)` : '';
+  return `${p.file ?? '?'} › ${p.sheet}!${where}${sum}`;
+}
+
+module.exports = { traceRates, formatProvenance };
@@ -0,0 +1,220 @@
+'use strict';
+
+/**
+ * scheduleWorkbook.js
+ * The reverse of the converters: rate data back into a formatted workbook in
+ * the layout of the sheets it was parsed from.
+ *
+ *   labour  LabourRate records       labourrates.xlsx  category / class headers,
+ *                                                      Sl. No., description, unit, rate
+ *   ssr     ssr_sections / parsed    publichealth.xlsx  section rows, lettered
+ *                                                      sub-sections, diameter tables
+ *   phe     rateAnalysis.js output   phuse.xlsx         sub-item working: labour,
+ *                                                      material, sundries, overheads
+ *
+ * Formatting is what the xlsx package writes: column widths, merged title
+ * rows and number formats. The labour and SSR sheets read back through
+ * seed.js / lib/ssrParser.js to the same rates.
+ *
+ * Usage:
+ *   const { buildWorkbook } = require('./lib/scheduleWorkbook.js');
+ *   XLSX.writeFile(buildWorkbook('ssr', sections, { year: '2005-06' }), 'ssr-2005-06.xlsx');
+ *
+ *   node cli.js export <labour|ssr> -y 2005-06 -o schedule.xlsx
+ *   node cli.js export phe -i phuse_rates.json -o analysis.xlsx
+ */
+
+const XLSX = require('xlsx');
+const { CATEGORIES } = require('./labourSections.js');
+
+const RATE_FMT   = '0.00';
+const QTY_FMT    = '0.000';
+const FACTOR_FMT = '0%';
+
+// ─── 1. SHEET HELPERS ─────────────────────────────────────────────────────────
+
+/**
+ * Array-of-arrays → worksheet. `formats` gives a number format per column
+ * (applied to numeric cells only), `widths` the column widths in characters,
+ * `merges` the title rows to span across the table.
+ */
+function sheetFrom(rows, { widths = [], formats = {}, merges = [] } = {}) {
+  const ws = XLSX.utils.aoa_to_sheet(rows);
+  rows.forEach((row, r) => row.forEach((value, c) => {
+    const fmt = typeof value === 'number' && (row.formats?.[c] ?? formats[c]);
+    if (fmt) ws[XLSX.utils.encode_cell({ r, c })].z = fmt;
+  }));
+  ws['!cols']   = widths.map(wch => ({ wch }));
+  ws['!merges'] = merges;
+  return ws;
+}
+
+/** Row that spans columns `from`–`to` of the table (title, section header). */
+const spanRow = (r, from, to) => ({ s: { r, c: from }, e: { r, c: to } });
+
+/** A row whose numeric cells use their own formats: withFormats(values, { 4: '0%' }) */
+function withFormats(values, formats) {
+  if (formats) values.formats = formats;
+  return values;
+}
+
+const rateHeader = year => `S S RATE FOR ${year ?? ''}`.trim();
+
+// ─── 2. LABOUR ────────────────────────────────────────────────────────────────
+
+const CATEGORY_HEADERS = {
+  Driver:     'Drivers',
+  Conveyance: 'Other Conveyance Items',
+};
+const SUB_ORDER = [null, 'First Class', 'Second Class', 'Operator'];
+
+/**
+ * LabourRate records → labourrates.xlsx layout: "(A) Skilled Workmen",
+ * "First Class", then numbered Day rates.
+ */
+function labourSheet(records, { year = records[0]?.year ?? null } = {}) {
+  const rows = [
+    ['Sl. No.', 'S.S. Item No.', 'Description', 'Unit (per)', rateHeader(year)],
+    [1, 2, 3, 4, 5],
+  ];
+  const merges = [];
+
+  // Categories in rules order, classes in sheet order (no class first)
+  const categories = [...new Set(records.map(r => r.category))]
+    .sort((a, b) => CATEGORIES.indexOf(a) - CATEGORIES.indexOf(b));
+  let serial = 0;
+  categories.forEach((category, n) => {
+    merges.push(spanRow(rows.length, 2, 4));
+    rows.push([null, null, `(${String.fromCharCode(65 + n)}) ${CATEGORY_HEADERS[category] ?? `${category} Workmen`}`]);
+
+    const inCategory = records.filter(r => r.category === category);
+    const subs = [...new Set(inCategory.map(r => r.subCategory ?? null))]
+      .sort((a, b) => SUB_ORDER.indexOf(a) - SUB_ORDER.indexOf(b));
+    for (const sub of subs) {
+      if (sub) rows.push([null, null, sub]);
+      inCategory
+        .filter(r => (r.subCategory ?? null) === sub)
+        .forEach(r => rows.push([++serial, null, r.description, r.unit || null, r.rate]));
+    }
+  });
+
+  return sheetFrom(rows, { widths: [8, 10, 52, 10, 14], formats: { 4: RATE_FMT }, merges });
+}
+
+// ─── 3. SSR ───────────────────────────────────────────────────────────────────
+
+// Diameters go back as numbers, the way the sheet lists them
+const dimensionCell = d => (d != null && /^\d+(\.\d+)?$/.test(d) ? Number(d) : d ?? null);
+
+/**
+ * SSR sections → publichealth.xlsx layout (columns B–E: S.No., description,
+ * unit, rate). A section's own items follow its row, then each sub-section
+ * under its letter; notes close the section.
+ */
+function ssrSheet(sections, { year = null, title = 'PUBLIC HEALTH ITEMS' } = {}) {
+  const rows = [
+    [null, null, title],
+    [null, 'S.No.', 'Description', 'Unit', rateHeader(year)],
+    [null, 1, 2, 3, 4],
+  ];
+  const merges = [spanRow(0, 1, 4)];
+  const itemRow = item => [null, null, dimensionCell(item.dimension), item.unit ?? null, item.rate ?? null];
+
+  for (const sec of sections) {
+    rows.push([null, sec.item_no, sec.title ?? null, sec.unit ?? null, sec.rate ?? null]);
+    sec.items.forEach(item => rows.push(itemRow(item)));
+    for (const ss of sec.sub_sections) {
+      // automatic sub-sections ("G.I. PIPES:") are recognised by their text
+      rows.push([null, ss.sub_id.startsWith('auto_') ? null : `${ss.sub_id}.`, ss.description ?? null]);
+      ss.items.forEach(item => rows.push(itemRow(item)));
+    }
+    (sec.notes ?? []).forEach(note => rows.push([null, null, /^note\b/i.test(note) ? note : `Note: ${note}`]));
+  }
+
+  return sheetFrom(rows, { widths: [2, 8, 70, 12, 16], formats: { 4: RATE_FMT }, merges });
+}
+
+// ─── 4. PHUSE RATE ANALYSIS ───────────────────────────────────────────────────
+
+const LINE_GROUPS = [
+  ['labour',   '(a) LABOUR:'],
+  ['material', '(b) MATERIAL:'],
+  ['testing',  '(c) TESTING:'],
+];
+
+/**
+ * analyseAll() output (lib/rateAnalysis.js) → phuse.xlsx layout with the
+ * working of every sub-item: lines with quantity × rate = amount, sundries,
+ * overheads, total and the rate per output unit. Unpriced lines are marked
+ * in Remarks.
+ */
+function analysisSheet(analysis, { title = 'Rate Analysis' } = {}) {
+  const rows = [
+    [null, title],
+    [null, analysis.source ? `Drinking Water Supply Schemes (Public Health) — ${analysis.source}` : null],
+    ['Index-code', 'S No', 'Description', 'Unit', 'Quantity', 'Rate Rs.', 'Amt Rs.', 'Remarks'],
+    [null, 1, 2, 3, 4, 5, 6, 7],
+  ];
+  const merges = [spanRow(0, 1, 7), spanRow(1, 1, 7)];
+  const text = (value, sno = null) => [null, sno, value];
+
+  for (const item of analysis.items) {
+    const code = item.index_code === '__COMMON__' ? 'Common Data' : item.index_code;
+    rows.push([code, null, item.description]);
+
+    for (const sub of item.sub_items) {
+      if (sub.sub_index != null || sub.description !== item.description) rows.push(text(sub.description, sub.sub_index));
+
+      for (const [key, heading] of LINE_GROUPS) {
+        const group = sub[key];
+        if (!group?.lines.length) continue;
+        rows.push(text(heading));
+        group.lines.forEach(l => rows.push([
+          null, null, l.description, l.unit, l.quantity, l.rate, l.amount,
+          l.rate == null || l.quantity == null ? 'not priced' : null,
+        ]));
+      }
+
+      rows.push([null, null, 'Sub-total', null, null, null, sub.subtotal]);
+      sub.sundries.forEach(sd => rows.push(withFormats([null, null, sd.description, null, sd.factor, null, sd.amount], { 4: FACTOR_FMT })));
+      if (sub.overheads.factor) {
+        rows.push(withFormats([null, null, 'Overheads & Contractors Profit', null, sub.overheads.factor, null, sub.overheads.amount], { 4: FACTOR_FMT }));
+      }
+      rows.push([null, null, `Cost for ${sub.divisor} ${sub.output_unit ?? 'unit'}${sub.divisor === 1 ? '' : 's'}`, null, null, null, sub.total]);
+      rows.push([
+        null, null, `Rate per ${sub.output_unit ?? 'unit'}${sub.divisor === 1 ? '' : ` = total / ${sub.divisor}`}`,
+        sub.output_unit ?? null, null, null, sub.rate,
+        sub.complete ? null : `${sub.unpriced.length} line(s) not priced`,
+      ]);
+    }
+  }
+
+  return sheetFrom(rows, {
+    widths:  [14, 6, 60, 8, 10, 10, 12, 24],
+    formats: { 4: QTY_FMT, 5: RATE_FMT, 6: RATE_FMT },
+    merges,
+  });
+}
+
+// ─── 5. WORKBOOK ──────────────────────────────────────────────────────────────
+
+const SHEETS = { labour: labourSheet, ssr: ssrSheet, phe: analysisSheet };
+
+/**
+ * @param {'labour'|'ssr'|'phe'} kind
+ * @param {*} data   LabourRate records, SSR sections (or parsed JSON), analyseAll() output
+ * @param {object} [opts]  { year, sheetName, title }
+ * @returns {object} XLSX workbook, ready for XLSX.writeFile
+ */
+function buildWorkbook(kind, data, { sheetName = 'Sheet1', ...opts } = {}) {
+  const build = SHEETS[kind];
+  if (!build) throw new Error(`No workbook layout for "${kind}"`);
+  const input = kind === 'ssr' ? data.sections ?? data : data;
+  const year  = opts.year ?? (kind === 'ssr' ? data.year : undefined);
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, build(input, { ...opts, ...(year ? { year } : {}) }), sheetName);
+  return wb;
+}
+
+module.exports = { buildWorkbook, labourSheet, ssrSheet, analysisSheet };
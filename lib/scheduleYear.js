@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * scheduleYear.js
+ * Works out which schedule year ("2005-06") a workbook belongs to.
+ *
+ * The SSR sheets print it in the rate column header, e.g.
+ *   " S S RATE FOR             2005-06"
+ * so the first few rows are scanned for a "YYYY-YY" / "YYYY-YYYY" token.
+ */
+
+const RE_YEAR = /\b((?:19|20)\d{2})\s*[-–/]\s*(\d{2}|\d{4})\b/;
+
+/**
+ * Normalise "2005-2006", "2005 - 06", "2005/06" → "2005-06".
+ * Returns null for anything that is not a financial-year token.
+ */
+function normaliseYear(raw) {
+  if (raw == null) return null;
+  const m = String(raw).match(RE_YEAR);
+  if (!m) return null;
+  return `${m[1]}-${m[2].slice(-2)}`;
+}
+
+/**
+ * Scan the header rows (array-of-arrays from sheet_to_json header:1) for a
+ * schedule year.
+ */
+function detectYear(rows, maxRows = 6) {
+  for (const row of rows.slice(0, maxRows)) {
+    for (const cell of row || []) {
+      const year = normaliseYear(cell);
+      if (year) return year;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the year for an import: explicit value first, then the workbook.
+ * Throws when neither yields one so nothing is stored under a wrong year.
+ */
+function resolveYear(explicit, rows) {
+  if (explicit) {
+    const year = normaliseYear(explicit);
+    if (!year) throw new Error(`Invalid schedule year "${explicit}" (expected e.g. 2005-06)`);
+    return year;
+  }
+  const detected = detectYear(rows);
+  if (!detected) throw new Error('Schedule year not found in workbook header; pass it explicitly');
+  return detected;
+}
+
+module.exports = { normaliseYear, detectYear, resolveYear };
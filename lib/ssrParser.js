@@ -0,0 +1,295 @@
+'use strict';
+
+/**
+ * ssrParser.js
+ * The one SSR public health sheet parser. publichealth.js (JSON export) and
+ * publicdb.js (ssr_sections import) both build their output from
+ * parseSsrSheet(), so the file and the database hold the same sections,
+ * categories and rates.
+ *
+ * Row rules (columns B–E: S.No., description, unit, rate):
+ *   numbered S.No. ("8. a.", "11a", "41 b", 42)  starts a section; a rate or
+ *                                                unit on the row is the
+ *                                                section's own (flat items)
+ *   letter S.No. ("a", "b.") without a rate      starts a sub-section
+ *   letter S.No. with a rate                     item of the section itself
+ *   unit + rate                                  item (diameter / range row)
+ *   rate without unit                            item; when the row has no
+ *                                                text it takes the description
+ *                                                (and unit) of the row above
+ *                                                (item 33: text and rate on
+ *                                                alternate rows)
+ *   "G.I. PIPES" / "PVC/HDPE pipes" text         automatic sub-section
+ *
+ * compareOutputs() is the regression check between two parses of the same
+ * sheet (node cli.js validate ssr).
+ */
+
+const XLSX = require('xlsx');
+const { resolveYear } = require('./scheduleYear.js');
+const { loadWorkbook, provenanceFor, pickSheet } = require('./workbook.js');
+const { annotateReferences } = require('./rateReference.js');
+
+// ─── 1. CATEGORIES ────────────────────────────────────────────────────────────
+
+/** item_key → category. Lettered keys ("3a") fall back to their number. */
+const CATEGORIES = {
+  '1':   'Labour Rates',
+  '2':   'Earth Work',
+  '3':   'Rock Cutting & Blasting',
+  '4':   'Loading & Unloading',
+  '5':   'Loading & Unloading',
+  '6':   'Loading & Unloading',
+  '7':   'Loading & Unloading',
+  '8a':  'Pipe Laying',
+  '8b':  'Pipe Laying',
+  '9a':  'Pipe Jointing',
+  '9b':  'Pipe Jointing',
+  '10':  'Pipe Jointing',
+  '11a': 'RCC Pipe Laying',
+  '11b': 'RCC Pipe Laying',
+  '12':  'GI/PVC/HDPE Pipe Laying',
+  '13':  'AC Pressure Pipe Laying',
+  '14':  'AC Pressure Pipe Jointing',
+  '15':  'Stoneware Pipe Laying',
+  '16':  'PVC Pipe Laying & Testing',
+  '17':  'Valve Installation Labour',
+  '18a': 'Air Valve Labour',
+  '18b': 'Kinetic Air Valve Labour',
+  '19':  'Fire Hydrant Labour',
+  '20':  'CI/DI Pipe Uprooting',
+  '21':  'RCC Pipe Uprooting',
+  '22':  'GI/PVC/HDPE Pipe Removal',
+  '23':  'CI/DI Pipe Cutting',
+  '24':  'AC Pipe Cutting',
+  '25':  'Drilling & Tapping',
+  '26':  'Road Surface Cutting',
+  '27':  'Dewatering',
+  '28':  'Shoring & Strutting',
+  '29':  'Barricading & Watching',
+  '30':  'Underwater Trench Excavation',
+  '31':  'Infiltration Gallery',
+  '32':  'Infiltration Gallery',
+  '33':  'Centering & Scaffolding',
+  '34':  'Lift & Delift of Materials',
+  '35':  'Fixtures Labour',
+  '36':  'Sanitary Fixtures Labour',
+  '37':  'Sanitary Fixtures Labour',
+  '38':  'Sanitary Fixtures Labour',
+  '39':  'Sanitary Fixtures Labour',
+  '40':  'Trench Refilling',
+  '41a': 'Isolated Scattered Works',
+  '41b': 'Repairs to Mains',
+  '42':  'Silt & Sludge Removal',
+  '43':  'Pipe Conveyance',
+  '44':  'Pipe Conveyance',
+  '45':  'Pipe Conveyance',
+  '46':  'Pipe Conveyance',
+  '47':  'Pipe Conveyance',
+  '48':  'Well Sinking',
+  '49':  'Well Sinking',
+  '50':  'Open Well Excavation',
+  '51':  'OHSR/ELSR Rates (Kilo Litres)',
+  '52':  'OHSR/ELSR Rates (Litres)',
+  '53':  'Rapid Gravity Filtration Plant',
+};
+
+function categoryFor(key) {
+  return CATEGORIES[key] ?? CATEGORIES[String(key).match(/^\d+/)?.[0]] ?? 'General';
+}
+
+// ─── 2. ROW HELPERS ───────────────────────────────────────────────────────────
+
+const clean = v => (v == null ? null : String(v).trim().replace(/\s+/g, ' ') || null);
+
+function parseRate(v) {
+  if (v == null) return null;
+  if (typeof v === 'number') return v;
+  const s = String(v).trim();
+  if (s === '' || s === '-') return null;
+  // Only whole numbers count: "25% extra over …" stays text (see rateReference.js)
+  const n = Number(s.replace(/,/g, ''));
+  return isNaN(n) ? s : n;
+}
+
+const itemKey   = sno => String(sno).replace(/[\s.]+/g, '').toLowerCase();
+const rateType  = rate => (typeof rate === 'number' ? 'numeric' : 'formula');
+const isNumbered = sno => typeof sno === 'number' || /^\d+\s*\.?\s*[a-z]?\.?$/i.test(String(sno ?? ''));
+const isLettered = sno => typeof sno === 'string' && /^[a-z]\.?$/i.test(sno);
+
+// Notes and their indented continuation lines carry no rate
+const isNote = raw => /^\s*(NOTE\b|\/\/)/i.test(raw) || /^\s{4,}/.test(raw);
+const isContext = desc => /DIAMETER OF PIPE/i.test(desc) || /DIA (in|of) (mm|pipe)/i.test(desc);
+const isAutoSub = desc => /^(G\.I\. PIPES|PVC.HDPE pipes)/i.test(desc);
+
+// ─── 3. PARSER ────────────────────────────────────────────────────────────────
+
+/**
+ * Parse one SSR sheet into sections.
+ *
+ * @param {string|Buffer|object} input  file path, Buffer or workbook
+ * @param {object} [opts]
+ * @param {string} [opts.year]    schedule year (default: read from the sheet)
+ * @param {string|number} [opts.sheet=0]
+ * @param {string} [opts.source]  file name recorded in provenance
+ * @returns {{ year, sheet, checksum, sections: object[] }}
+ */
+function parseSsrSheet(input, { year = null, sheet = 0, source = null } = {}) {
+  const workbook = loadWorkbook(input);
+  const { name: sheetName, sheet: ws } = pickSheet(workbook, sheet);
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
+  const at   = provenanceFor(input, sheetName, ws, { file: source }); // rate cell: column E
+
+  const sections = [];
+  let section = null;
+  let sub = null;
+  let pending = null; // description-only row waiting for its rate row
+  let itemId = 0;
+
+  const newItem = (desc, unit, rate, provenance) => ({
+    id:              ++itemId,
+    section_item_no: section.item_no,
+    dimension:       desc ? desc.replace(/\s*mm$/i, '').trim() : null,
+    unit,
+    rate,
+    rate_type:       rateType(rate),
+    provenance,
+  });
+
+  for (let i = 2; i < rows.length; i++) { // skip title + header rows
+    const [, rawSno, rawDesc, rawUnit, rawRate] = [...rows[i], null, null, null, null, null];
+    if (rawSno === 1 && rawDesc === 2 && rawUnit === 3 && rawRate === 4) continue; // column numbers
+
+    const sno  = typeof rawSno === 'string' ? rawSno.trim() || null : rawSno;
+    const desc = clean(rawDesc);
+    const unit = clean(rawUnit);
+    const rate = parseRate(rawRate);
+
+    if (sno == null && !desc && !unit && rate == null) continue;
+    if (sno == null && !unit && rate == null && isNote(String(rawDesc))) continue;
+
+    // ── SECTION (flat items keep their unit / rate on the section)
+    if (sno != null && isNumbered(sno)) {
+      const key = itemKey(sno);
+      section = {
+        id:           sections.length + 1,
+        item_no:      typeof sno === 'number' ? sno : String(sno),
+        item_key:     key,
+        category:     categoryFor(key),
+        title:        desc,
+        unit,
+        rate,
+        rate_type:    rate == null ? null : rateType(rate),
+        sub_sections: [],
+        items:        [],
+        notes:        [],
+        provenance:   at(i, 4),
+      };
+      sub = pending = null;
+      sections.push(section);
+      continue;
+    }
+    if (!section) continue;
+
+    // ── SUB-SECTION (letter, no rate)
+    if (isLettered(sno) && rate == null) {
+      sub = { sub_id: sno.replace(/\.$/, ''), description: desc, items: [] };
+      section.sub_sections.push(sub);
+      pending = null;
+      continue;
+    }
+
+    // ── LETTERED RATE ROW belongs to the section, not the open sub-section
+    if (isLettered(sno)) {
+      sub = pending = null;
+      section.items.push(newItem(desc, unit, rate, at(i, 4)));
+      continue;
+    }
+
+    // ── RATE ITEM (unit + rate)
+    if (unit && rate != null) {
+      (sub ?? section).items.push(newItem(desc, unit, rate, at(i, 4)));
+      pending = null;
+      continue;
+    }
+
+    // ── RATE-ONLY ROW (item 33 scaffolding: rate in col E, text on the row above)
+    if (rate != null) {
+      const from = desc ? { desc, unit: null } : pending ?? { desc: null, unit: null };
+      (sub ?? section).items.push(newItem(from.desc, from.unit, rate, at(i, 4)));
+      pending = null;
+      continue;
+    }
+
+    if (!desc || sno != null || isContext(desc)) continue;
+
+    // ── AUTO SUB-SECTION (GI PIPES:, PVC/HDPE … headers inside item 12)
+    if (isAutoSub(desc)) {
+      sub = { sub_id: 'auto_' + (section.sub_sections.length + 1), description: desc, items: [] };
+      section.sub_sections.push(sub);
+      continue;
+    }
+    pending = { desc, unit };
+  }
+
+  return {
+    year:     resolveYear(year, rows),
+    sheet:    sheetName,
+    checksum: at(0).checksum,
+    sections: annotateReferences(sections),
+  };
+}
+
+// ─── 4. REGRESSION CHECK ──────────────────────────────────────────────────────
+
+const SECTION_FIELDS = ['category', 'title', 'unit', 'rate'];
+
+/**
+ * Compare two sets of SSR sections item for item — the JSON export against
+ * the documents bound for (or read from) ssr_sections.
+ *
+ * @returns {{ agree: boolean, sections: number, rows: number, mismatches: object[] }}
+ *          mismatches: { item_key, sub_id?, dimension?, field, json, db }
+ */
+function compareOutputs(jsonSections, dbSections) {
+  const { ssrRows } = require('./yearCompare.js');
+  const mismatches = [];
+
+  const dbByKey = new Map(dbSections.map(s => [s.item_key, s]));
+  const jsonKeys = new Set(jsonSections.map(s => s.item_key));
+  for (const sec of jsonSections) {
+    const other = dbByKey.get(sec.item_key);
+    if (!other) {
+      mismatches.push({ item_key: sec.item_key, field: 'section', json: sec.title, db: null });
+      continue;
+    }
+    SECTION_FIELDS
+      .filter(f => (sec[f] ?? null) !== (other[f] ?? null))
+      .forEach(f => mismatches.push({ item_key: sec.item_key, field: f, json: sec[f] ?? null, db: other[f] ?? null }));
+  }
+  dbSections
+    .filter(s => !jsonKeys.has(s.item_key))
+    .forEach(s => mismatches.push({ item_key: s.item_key, field: 'section', json: null, db: s.title }));
+
+  // Rows pair up by key, in order — a key may repeat (rate rows without text)
+  const jsonRows = ssrRows(jsonSections);
+  const dbRows   = new Map();
+  ssrRows(dbSections).forEach(r => dbRows.set(r.key, [...dbRows.get(r.key) ?? [], r]));
+  for (const row of jsonRows) {
+    const other = dbRows.get(row.key)?.shift();
+    const where = { item_key: row.label.item_key, sub_id: row.label.sub_id, dimension: row.label.dimension };
+    if (!other) mismatches.push({ ...where, field: 'item', json: row.rate, db: null });
+    else if (other.rate !== row.rate) mismatches.push({ ...where, field: 'rate', json: row.rate, db: other.rate });
+    else if ((other.label.unit ?? null) !== (row.label.unit ?? null)) {
+      mismatches.push({ ...where, field: 'unit', json: row.label.unit ?? null, db: other.label.unit ?? null });
+    }
+  }
+  for (const row of [...dbRows.values()].flat()) {
+    const { item_key, sub_id, dimension } = row.label;
+    mismatches.push({ item_key, sub_id, dimension, field: 'item', json: null, db: row.rate });
+  }
+
+  return { agree: mismatches.length === 0, sections: jsonSections.length, rows: jsonRows.length, mismatches };
+}
+
+module.exports = { parseSsrSheet, compareOutputs, categoryFor, CATEGORIES, parseRate };
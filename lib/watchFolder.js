@@ -0,0 +1,336 @@
+'use strict';
+
+/**
+ * watchFolder.js
+ * Import pipeline for a shared drop folder. Every new or changed .xlsx file
+ * goes through
+ *
+ *   read      the file's checksum
+ *   detect    which parser applies, and on which sheet (opts.detect; by
+ *             default detectFormat of lib/workbookFormat.js)
+ *   parse     seed.js / ph.js / phuse.js / publichealth.js
+ *   validate  the output schema (lib/outputSchema.js); errors stop here
+ *   import    labour → LabourRate batch, ssr → ssr_sections batch;
+ *             pipe and phe have no collection: the JSON goes to output/
+ *
+ * and leaves a result log: results/<file>.json with every step, plus one
+ * line per run in import-log.ndjson. What has been processed is kept in
+ * .import-state.json by checksum, so a restarted watcher only picks up what
+ * changed; imports that failed (database down …) are retried on restart,
+ * and so are files a --dry-run only validated.
+ *
+ * Files still being copied are left for the next scan: a file is only
+ * taken once it has not been modified for `settleMs`. A file that cannot be
+ * read (renamed or removed mid-scan, locked …) is logged as failed, like a
+ * parse failure, and the scan goes on with the rest; it is looked at again
+ * when it changes or the watcher restarts.
+ *
+ * Usage:
+ *   node cli.js watch [folder] [--db uri] [--dry-run] [--once]
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { fileChecksum } = require('./workbook.js');
+const { detectFormat } = require('./workbookFormat.js');
+const { validateOutput, formatIssue } = require('./outputSchema.js');
+
+const STATE_FILE  = '.import-state.json';
+const LOG_FILE    = 'import-log.ndjson';
+const RESULTS_DIR = 'results';
+const OUTPUT_DIR  = 'output';
+
+// ─── 1. PIPELINES ─────────────────────────────────────────────────────────────
+
+/** Write a parsed document next to the results — for data without a collection. */
+function storeJson(name) {
+  return async (parsed, ctx) => {
+    const out = path.join(ctx.dir, OUTPUT_DIR, `${path.parse(ctx.file).name}.${name}`);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(parsed.data, null, 2), 'utf8');
+    return { output: path.relative(ctx.dir, out) };
+  };
+}
+
+const PIPELINES = {
+  labour: {
+    parse(file, opts) {
+      const { year, records, unknownHeaders } = require('../seed.js').parseLabourRates(file, opts);
+      return { year, data: records, warnings: unknownHeaders.map(h => `unknown header at row ${h.row}: "${h.text}"`) };
+    },
+    async store(parsed, ctx) {
+      const mongoose = require('mongoose');
+      const config = require('../config.js');
+      const { importLabourRates } = require('../seed.js');
+
+      await mongoose.connect(ctx.mongoUri || config.mongoUri, { dbName: config.labourDbName });
+      try {
+        const { batch } = await importLabourRates(parsed.data, parsed.year, ctx.source);
+        return { collection: 'labourrates', version: batch.version, records: parsed.data.length };
+      } finally {
+        await mongoose.disconnect();
+      }
+    },
+  },
+
+  ssr: {
+    parse(file, opts) {
+      const doc = require('../publichealth.js').parsePublicHealthXLSX(file, opts);
+      return { year: doc.year, data: doc, warnings: [] };
+    },
+    async store(parsed, ctx) {
+      const config = require('../config.js');
+      const { storeToMongoDB } = require('../publicdb.js');
+      const { version } = await storeToMongoDB(parsed.data.sections, parsed.year, {
+        mongoUri: ctx.mongoUri || config.mongoUri,
+        dbName:   config.ssrDbName,
+        ...ctx.source,
+      });
+      return { collection: 'ssr_sections', version, sections: parsed.data.sections.length };
+    },
+  },
+
+  pipe: {
+    parse(file, opts) {
+      const { warnings, output } = require('../ph.js').convertWorkbook(file, opts);
+      return { year: output.year, data: output, warnings };
+    },
+    store: storeJson('output.json'),
+  },
+
+  phe: {
+    parse(file, opts) {
+      const output = require('../phuse.js').convertToJSON(file, opts);
+      return { year: null, data: output, warnings: [] };
+    },
+    store: storeJson('phuse_output.json'),
+  },
+};
+
+// ─── 2. ONE FILE ──────────────────────────────────────────────────────────────
+
+/**
+ * Run one workbook through the pipeline.
+ *
+ * @param {string} file  path of the workbook
+ * @param {object} [opts]
+ * @param {string}  [opts.dir]       drop folder (results / output go here)
+ * @param {string}  [opts.mongoUri]
+ * @param {boolean} [opts.dryRun]    parse and validate only
+ * @param {Function} [opts.detect]   (file) → { format, confidence, sheet, reason }
+ * @returns {Promise<object>} result: { file, checksum, format, status, steps, … }
+ *          status: imported | validated (dry run) | unrecognised | invalid | failed
+ */
+async function processFile(file, { dir = path.dirname(file), mongoUri = null, dryRun = false, detect = detectFormat } = {}) {
+  const result = {
+    file:       path.basename(file),
+    checksum:   null,
+    started_at: new Date().toISOString(),
+    format:     null,
+    confidence: null,
+    sheet:      null,
+    year:       null,
+    status:     null,
+    steps:      [],
+  };
+
+  // Each step records its outcome; the first failing one ends the run
+  const step = async (name, fn) => {
+    const t0 = Date.now();
+    try {
+      const detail = await fn();
+      result.steps.push({ step: name, ok: true, ms: Date.now() - t0, ...detail });
+      return true;
+    } catch (err) {
+      result.steps.push({ step: name, ok: false, ms: Date.now() - t0, error: err.message });
+      result.status = 'failed';
+      result.error = `${name}: ${err.message}`;
+      return false;
+    }
+  };
+
+  let parsed;
+  const detected = await step('read', () => ({ checksum: (result.checksum = fileChecksum(file)) }))
+    && await step('detect', () => {
+      const found = detect(file);
+      Object.assign(result, { format: found.format, confidence: found.confidence, sheet: found.sheet });
+      return { format: found.format, confidence: found.confidence, sheet: found.sheet, reason: found.reason };
+    });
+  if (detected && !result.format) result.status = 'unrecognised';
+
+  const ok = detected && result.format != null
+    && await step('parse', () => {
+      parsed = PIPELINES[result.format].parse(file, { sheet: result.sheet });
+      result.year = parsed.year ?? null;
+      return { year: result.year, warnings: parsed.warnings };
+    })
+    && await step('validate', () => {
+      const report = validateOutput(result.format, parsed.data, { file: result.file });
+      result.validation = { errors: report.errors, warnings: report.warnings, issues: report.issues.slice(0, 50).map(formatIssue) };
+      if (!report.valid) result.status = 'invalid';
+      return { valid: report.valid, errors: report.errors, warnings: report.warnings };
+    })
+    && result.status !== 'invalid';
+
+  if (ok && dryRun) {
+    result.status = 'validated';
+  } else if (ok) {
+    const source = { sourceFile: result.file, checksum: result.checksum };
+    if (await step('import', () => PIPELINES[result.format].store(parsed, { dir, file, mongoUri, source }))) {
+      result.status = 'imported';
+    }
+  }
+
+  result.finished_at = new Date().toISOString();
+  return result;
+}
+
+// ─── 3. FOLDER ────────────────────────────────────────────────────────────────
+
+const isWorkbook = name => /\.xlsx$/i.test(name) && !name.startsWith('~$') && !name.startsWith('.');
+
+function readState(dir) {
+  const file = path.join(dir, STATE_FILE);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+/** Per-file result and the folder's run log. */
+function writeResult(dir, result) {
+  const resultsDir = path.join(dir, RESULTS_DIR);
+  fs.mkdirSync(resultsDir, { recursive: true });
+  fs.writeFileSync(path.join(resultsDir, `${result.file}.json`), JSON.stringify(result, null, 2), 'utf8');
+
+  const { file, checksum, format, confidence, year, status, error = null, finished_at } = result;
+  fs.appendFileSync(path.join(dir, LOG_FILE), `${JSON.stringify({ finished_at, file, format, confidence, year, status, error, checksum })}\n`, 'utf8');
+}
+
+/**
+ * @param {string} dir  the drop folder
+ * @param {object} [opts]
+ * @param {string}  [opts.mongoUri]
+ * @param {boolean} [opts.dryRun]
+ * @param {Function} [opts.detect]       see processFile
+ * @param {number}  [opts.settleMs=2000]  quiet time before a file is taken
+ * @param {number}  [opts.pollMs=30000]   rescan interval (network shares
+ *                                        do not always raise fs events)
+ * @param {object}  [opts.log=console]
+ * @returns {{ scan: () => Promise<object[]>, start: () => Promise<void>, stop: () => void }}
+ */
+function createWatcher(dir, { mongoUri = null, dryRun = false, detect = detectFormat, settleMs = 2000, pollMs = 30000, log = console } = {}) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new Error(`Not a folder → ${path.resolve(dir)}`);
+
+  // Failed imports get another go when the watcher starts again, and so do
+  // files a dry run only validated
+  const retry = new Set(dryRun ? ['failed'] : ['failed', 'validated']);
+  const state = Object.fromEntries(Object.entries(readState(dir)).filter(([, s]) => !retry.has(s.status)));
+  const saveState = () => fs.writeFileSync(path.join(dir, STATE_FILE), JSON.stringify(state, null, 2), 'utf8');
+
+  let running = null;
+  let again = false;
+  let watcher = null;
+  let timer = null;
+
+  /** One file of a scan: its result, or null when there is nothing new. */
+  async function scanFile(name, stat) {
+    const file = path.join(dir, name);
+    if (Date.now() - stat.mtimeMs < settleMs) return null; // still being written
+    if (state[name]?.mtimeMs === stat.mtimeMs && (state[name].size ?? stat.size) === stat.size) return null;
+
+    const checksum = fileChecksum(file);
+    if (state[name]?.checksum === checksum) {
+      state[name].mtimeMs = stat.mtimeMs; // touched, not changed
+      return null;
+    }
+
+    log.log(`  ▸ ${name}`);
+    const result = await processFile(file, { dir, mongoUri, dryRun, detect });
+    writeResult(dir, result);
+    state[name] = { checksum, mtimeMs: stat.mtimeMs, size: stat.size, status: result.status, processed_at: result.finished_at };
+    saveState();
+    return result;
+  }
+
+  /** A file that could not be read: its result log, and state so the next poll leaves it be. */
+  function unreadable(name, stat, err) {
+    const seen = state[name];
+    if (seen?.status === 'failed' && seen.error === err.message && seen.mtimeMs === (stat?.mtimeMs ?? null)) return null;
+
+    const now = new Date().toISOString();
+    log.log(`  ▸ ${name}`);
+    const result = { file: name, checksum: null, started_at: now, format: null, confidence: null, sheet: null, year: null,
+      status: 'failed', steps: [], error: err.message, finished_at: now };
+    writeResult(dir, result);
+    state[name] = { checksum: null, mtimeMs: stat?.mtimeMs ?? null, size: stat?.size ?? null, status: 'failed', error: err.message, processed_at: now };
+    saveState();
+    return result;
+  }
+
+  async function scanOnce() {
+    const results = [];
+    const names = fs.readdirSync(dir).filter(isWorkbook).sort();
+    for (const name of names) {
+      let stat = null;
+      let result;
+      try {
+        stat = fs.statSync(path.join(dir, name));
+        result = await scanFile(name, stat);
+      } catch (err) {
+        // gone or locked since the folder was listed
+        result = unreadable(name, stat, err);
+      }
+      if (!result) continue;
+
+      const what = [result.format, result.year].filter(Boolean).join(' ');
+      (result.status === 'imported' || result.status === 'validated' ? log.log : log.warn)(
+        `    ${result.status}${what ? ` (${what})` : ''}${result.error ? ` — ${result.error}` : ''}`);
+      results.push(result);
+    }
+    return results;
+  }
+
+  /** Scan the folder; a scan asked for while one runs follows it. */
+  async function scan() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      const results = [];
+      do {
+        again = false;
+        results.push(...await scanOnce());
+      } while (again);
+      return results;
+    })();
+    try {
+      return await running;
+    } finally {
+      running = null;
+    }
+  }
+
+  const report = err => log.error(`  Error: ${err.message}`);
+  let debounce = null;
+
+  return {
+    scan,
+    async start() {
+      await scan();
+      watcher = fs.watch(dir, (event, name) => {
+        if (!name || !isWorkbook(name)) return;
+        clearTimeout(debounce);
+        // let the copy settle, then look again
+        debounce = setTimeout(() => scan().catch(report), settleMs + 100);
+      });
+      timer = setInterval(() => scan().catch(report), pollMs);
+      log.log(`  Watching ${path.resolve(dir)} (Ctrl+C to stop)`);
+    },
+    stop() {
+      watcher?.close();
+      clearInterval(timer);
+      clearTimeout(debounce);
+    },
+  };
+}
+
+module.exports = { createWatcher, processFile, PIPELINES };
@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * workbook.js
+ * Workbook loading and sheet selection shared by the parsers, so every
+ * parser accepts a file path, a Buffer or an already-read workbook.
+ */
+
+const XLSX   = require('xlsx');
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+/**
+ * Turn a parser input into an XLSX workbook object.
+ *
+ * @param {string|Buffer|Uint8Array|ArrayBuffer|object} source
+ *        file path, raw .xlsx bytes, or a workbook from XLSX.read*
+ * @param {object} [readOpts]  options forwarded to XLSX.read / readFile
+ */
+function loadWorkbook(source, readOpts = {}) {
+  if (source && Array.isArray(source.SheetNames)) return source;
+  if (Buffer.isBuffer(source)) return XLSX.read(source, { ...readOpts, type: 'buffer' });
+  if (source instanceof Uint8Array) return XLSX.read(source, { ...readOpts, type: 'array' });
+  if (source instanceof ArrayBuffer) return XLSX.read(new Uint8Array(source), { ...readOpts, type: 'array' });
+  if (typeof source === 'string') return XLSX.readFile(source, readOpts);
+  throw new TypeError('Expected a workbook, a Buffer or a file path');
+}
+
+/**
+ * File name to record as the source of parsed data. Buffers and workbooks
+ * carry no name, so callers may pass one explicitly.
+ */
+function sourceName(source, explicit = null) {
+  if (explicit) return explicit;
+  return typeof source === 'string' ? path.basename(source) : null;
+}
+
+/**
+ * SHA-256 of the raw workbook bytes (file path or Buffer). Returns null for
+ * an already-read workbook, whose bytes are no longer available.
+ */
+function fileChecksum(source) {
+  let bytes = null;
+  if (typeof source === 'string') bytes = fs.readFileSync(source);
+  else if (source instanceof Uint8Array) bytes = source;
+  else if (source instanceof ArrayBuffer) bytes = new Uint8Array(source);
+  return bytes ? crypto.createHash('sha256').update(bytes).digest('hex') : null;
+}
+
+/**
+ * Provenance stamper for the rows of one sheet. The returned function maps
+ * a 0-based row index of sheet_to_json(…, { header: 1 }) (and optionally a
+ * 0-based column of that row) to the cell it came from:
+ *   { file, sheet, row, cell, checksum }   row is 1-based, cell e.g. "E12"
+ */
+function provenanceFor(source, sheetName, ws, { file = null } = {}) {
+  const range = XLSX.utils.decode_range(ws['!ref'] ?? 'A1');
+  const base = { file: sourceName(source, file), sheet: sheetName, checksum: fileChecksum(source) };
+
+  return (index, col = null) => {
+    const r = range.s.r + index;
+    return {
+      file:     base.file,
+      sheet:    base.sheet,
+      row:      r + 1,
+      cell:     col == null ? null : XLSX.utils.encode_cell({ r, c: range.s.c + col }),
+      checksum: base.checksum,
+    };
+  };
+}
+
+/**
+ * Resolve a sheet by name or 0-based index (default: first sheet).
+ * Numeric strings from the command line are treated as indexes unless a
+ * sheet carries that exact name.
+ *
+ * @returns {{ name: string, sheet: object }}
+ */
+function pickSheet(workbook, sheet = 0) {
+  let name;
+  if (typeof sheet === 'string' && workbook.SheetNames.includes(sheet)) {
+    name = sheet;
+  } else if (/^\d+$/.test(String(sheet))) {
+    name = workbook.SheetNames[Number(sheet)];
+  }
+
+  if (!name) {
+    throw new Error(`Sheet "${sheet}" not found (available: ${workbook.SheetNames.join(', ')})`);
+  }
+  return { name, sheet: workbook.Sheets[name] };
+}
+
+/**
+ * Several sheets at once, in workbook order:
+ *   'all' | '*'           every sheet
+ *   'Ch 1,Ch 2' | '0,2'   names or 0-based indexes (as pickSheet), or an array of them
+ *   'Chapter*'            glob on the name (* and ?, case-insensitive)
+ *   '/^ch\s*\d+/i'        regular expression on the name
+ * A sheet whose exact name is `spec` always wins.
+ *
+ * @returns {{ name: string, sheet: object }[]}
+ */
+function selectSheets(workbook, spec = 'all') {
+  const names = workbook.SheetNames;
+  let picked;
+  if (Array.isArray(spec)) {
+    picked = spec.map(s => pickSheet(workbook, s).name);
+  } else if (names.includes(String(spec))) {
+    picked = [String(spec)];
+  } else if (/^(all|\*)$/i.test(String(spec))) {
+    picked = names;
+  } else if (/^\/.+\/[a-z]*$/.test(spec)) {
+    const [, body, flags] = spec.match(/^\/(.+)\/([a-z]*)$/);
+    const re = new RegExp(body, flags);
+    picked = names.filter(n => re.test(n));
+  } else if (/[*?]/.test(spec)) {
+    const glob = spec.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    const re = new RegExp(`^${glob}$`, 'i');
+    picked = names.filter(n => re.test(n));
+  } else {
+    picked = String(spec).split(',').map(s => s.trim()).filter(Boolean).map(s => pickSheet(workbook, s).name);
+  }
+
+  picked = names.filter(n => picked.includes(n)); // workbook order, once each
+  if (picked.length === 0) {
+    throw new Error(`No sheet matches "${spec}" (available: ${names.join(', ')})`);
+  }
+  return picked.map(name => ({ name, sheet: workbook.Sheets[name] }));
+}
+
+module.exports = { loadWorkbook, sourceName, fileChecksum, provenanceFor, pickSheet, selectSheets };
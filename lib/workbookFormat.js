@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * workbookFormat.js
+ * Tells which parser a workbook belongs to, from its header rows and the
+ * pattern of its columns — for files that arrive without anyone saying what
+ * they are (lib/watchFolder.js, `node cli.js <command> auto`).
+ *
+ * Each format has weighted signals; the confidence of a format is the
+ * weight of the signals its sheet shows (0 … 1):
+ *
+ *   phe     "Index-code … Amt Rs." header              .45   (phuse.js)
+ *           PHE-XXX-n codes in column A                .35
+ *           input rows: unit (day, kg …) + quantity    .20
+ *   labour  "S.S. Item No." header                     .35   (seed.js)
+ *           "(A) Skilled Workmen"-style category row   .30
+ *           serial in A, description in C, unit in D,
+ *           rate in E                                  .35
+ *   ssr     "PUBLIC HEALTH ITEMS" title                .30   (publichealth.js)
+ *           S.No. / Description / Unit header in B–D   .35
+ *           A empty, "Per metre" / "Each joint" unit
+ *           in D, rate (or "As per …") in E            .35
+ *   pipe    item number in column A of the first row   .25   (ph.js)
+ *           "DIAMETER OF PIPE" row                     .40
+ *           diameter / unit / rate rows in B–D         .35
+ *
+ * The best format wins if it reaches MIN_CONFIDENCE; ties go to the order
+ * above. Without a sheet, every sheet is scored and the best one is taken
+ * (a workbook may open with a cover page).
+ *
+ * Usage:
+ *   const { detectFormat } = require('./lib/workbookFormat.js');
+ *   detectFormat('rates.xlsx');  // { format: 'ssr', confidence: 1, sheet: 'Sheet1', reason, scores }
+ *
+ *   node cli.js detect [-i file.xlsx] [-s sheet | --sheets list]
+ *   node cli.js parse auto -i file.xlsx
+ */
+
+const XLSX = require('xlsx');
+const { loadWorkbook, selectSheets } = require('./workbook.js');
+const { createHeaderMatcher } = require('./labourSections.js');
+
+const SCAN_ROWS      = 12; // titles and headers
+const PATTERN_ROWS   = 80; // column patterns
+const PATTERN_MIN    = 3;  // rows a column pattern needs
+const MIN_CONFIDENCE = 0.5;
+
+const text = v => (v == null ? '' : String(v).replace(/\s+/g, ' ').trim());
+const rowText = row => row.map(text).join(' | ');
+const isWords = v => /[a-z]/i.test(text(v));
+
+const matchHeader = createHeaderMatcher();
+
+const header  = test => (rows) => rows.slice(0, SCAN_ROWS).some(test);
+const pattern = test => (rows) => rows.filter(test).length >= PATTERN_MIN;
+
+const SIGNALS = {
+  phe: [
+    {
+      weight: 0.45,
+      test:   header(r => /index.?code/i.test(rowText(r)) && /amt/i.test(rowText(r))),
+      reason: 'Index-code / Amt Rs. header',
+    },
+    {
+      weight: 0.35,
+      test:   rows => rows.some(r => /^PHE-[A-Z]+-\d+/i.test(text(r[0]))),
+      reason: 'PHE-XXX-n index codes in column A',
+    },
+    {
+      weight: 0.2,
+      test:   pattern(r => !text(r[0]) && isWords(r[2]) && typeof r[4] === 'number'
+        && /^(day|hour|kgs?|q|cum|sqm|rm|m|lt|litre|l|each|nos?)\.?$/i.test(text(r[3]))),
+      reason: 'quantity rows with day / kg / cum units',
+    },
+  ],
+
+  labour: [
+    {
+      weight: 0.35,
+      test:   header(r => /s\.?\s*s\.?\s*item\s*no/i.test(rowText(r))),
+      reason: 'S.S. Item No. header',
+    },
+    {
+      weight: 0.3,
+      test:   header(r => r.slice(0, 3).some(c => /^\([a-z]\)/i.test(text(c)) && matchHeader(text(c))?.level === 'category')),
+      reason: 'labour category row',
+    },
+    {
+      weight: 0.35,
+      test:   pattern(r => text(r[0]) && isWords(r[2]) && isWords(r[3]) && typeof r[4] === 'number'),
+      reason: 'serial / description / unit / rate rows in A, C–E',
+    },
+  ],
+
+  ssr: [
+    {
+      weight: 0.3,
+      test:   header(r => /public\s+health\s+items/i.test(rowText(r))),
+      reason: 'PUBLIC HEALTH ITEMS title',
+    },
+    {
+      weight: 0.35,
+      test:   header(r => /^s\.?\s*no\.?$/i.test(text(r[1])) && /^description$/i.test(text(r[2])) && /^unit/i.test(text(r[3]))),
+      reason: 'S.No. / Description / Unit header',
+    },
+    {
+      weight: 0.35,
+      test:   pattern(r => !text(r[0]) && isWords(r[2])
+        && /^((per|each)\s+\w+|\d+\s*(cum|sqm|m|rm))/i.test(text(r[3]))
+        && (typeof r[4] === 'number' || /as per/i.test(text(r[4])))),
+      reason: '"Per metre" / "Each joint" rate rows',
+    },
+  ],
+
+  pipe: [
+    {
+      weight: 0.25,
+      test:   rows => /^\d+\s*\.?\s*[a-z]?\.?$/i.test(text(rows[0]?.[0])),
+      reason: 'item number in column A',
+    },
+    {
+      weight: 0.4,
+      test:   header(r => /diameter of pipe/i.test(rowText(r))),
+      reason: 'DIAMETER OF PIPE row',
+    },
+    {
+      weight: 0.35,
+      test:   pattern(r => typeof r[1] === 'number' && isWords(r[2]) && typeof r[3] === 'number'),
+      reason: 'diameter / unit / rate rows in B–D',
+    },
+  ],
+};
+
+const round2 = n => Math.round(n * 100) / 100;
+
+/** Confidence of every format for one sheet, best first. */
+function scoreSheet(ws) {
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null }).slice(0, PATTERN_ROWS);
+  return Object.entries(SIGNALS)
+    .map(([format, signals]) => {
+      const matched = signals.filter(s => s.test(rows));
+      return { format, confidence: round2(matched.reduce((n, s) => n + s.weight, 0)), matched: matched.map(s => s.reason) };
+    })
+    .sort((a, b) => b.confidence - a.confidence); // stable: ties keep SIGNALS order
+}
+
+/**
+ * @param {string|Buffer|object} input  file path, Buffer or workbook
+ * @param {object} [opts]
+ * @param {string|number} [opts.sheet]   only this sheet (default: the best-scoring one)
+ * @param {number} [opts.minConfidence=0.5]
+ * @returns {{ format: string|null, confidence: number, sheet: string, reason: string,
+ *             scores: { format, confidence, matched: string[] }[] }}
+ *          format is null when no format reaches minConfidence
+ */
+function detectFormat(input, { sheet = null, minConfidence = MIN_CONFIDENCE } = {}) {
+  const sheets = detectSheets(input, { sheets: sheet == null ? 'all' : [sheet] });
+  const best = sheets.reduce((a, b) => (b.scores[0].confidence > a.scores[0].confidence ? b : a));
+  const [top] = best.scores;
+
+  const recognised = top.confidence >= minConfidence;
+  return {
+    format:     recognised ? top.format : null,
+    confidence: top.confidence,
+    sheet:      best.sheet,
+    reason:     recognised
+      ? top.matched.join('; ')
+      : `no parser matches the layout${top.confidence ? ` (best: ${top.format} at ${Math.round(top.confidence * 100)}%)` : ''}`,
+    scores:     best.scores,
+  };
+}
+
+/** Scores of every selected sheet (see selectSheets in workbook.js). */
+function detectSheets(input, { sheets = 'all' } = {}) {
+  return selectSheets(loadWorkbook(input), sheets).map(({ name, sheet: ws }) => ({ sheet: name, scores: scoreSheet(ws) }));
+}
+
+module.exports = { detectFormat, detectSheets, MIN_CONFIDENCE };
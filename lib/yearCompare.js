@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * yearCompare.js
+ * Year-over-year comparison of rate schedules.
+ *
+ * Every dataset is flattened to rows keyed by its natural key:
+ *   labour  (seed.js / flattened.json)  category | subCategory | description
+ *   pipe    (ph.js output.json)         itemNo | diameter
+ *   ssr     (publichealth / publicdb)   item_key | sub_id | dimension
+ * and the two years are matched key by key into changed / unchanged /
+ * added / dropped lists with absolute and percentage change. Rows also
+ * carry the provenance of their rate (used by rateTrace.js).
+ *
+ * Usage:
+ *   node lib/yearCompare.js file old.json new.json        # any of the JSON outputs
+ *   node lib/yearCompare.js labour 2005-06 2006-07         # LabourRate collection
+ *   node lib/yearCompare.js ssr 2005-06 2006-07            # ssr_sections collection
+ *   … [report.json]                                        # optional JSON report
+ */
+
+const fs = require('fs');
+const { activeBatchFor, activeRecordFilter } = require('./importBatches.js');
+
+// ─── 1. HELPERS ───────────────────────────────────────────────────────────────
+
+const norm   = v => String(v ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+const round2 = n => Math.round(n * 100) / 100;
+
+// ─── 2. FLATTENERS ────────────────────────────────────────────────────────────
+
+function labourRows(records) {
+  return records.map(r => ({
+    key:   [r.category, r.subCategory, r.description].map(norm).join('|'),
+    label: { category: r.category, subCategory: r.subCategory ?? null, description: r.description, unit: r.unit },
+    rate:  r.rate,
+    provenance: r.provenance ?? null,
+  }));
+}
+
+function pipeRows(output) {
+  return output.items.flatMap(item => item.rates.map(r => ({
+    key:   `${norm(item.itemNo)}|${r.diameter}`,
+    label: { itemNo: item.itemNo, diameter: r.diameter, unit: item.unit },
+    rate:  r.rate,
+    provenance: r.provenance ?? null,
+  })));
+}
+
+function ssrRows(sections) {
+  const rows = [];
+  for (const sec of sections) {
+    const push = (subId, item) => rows.push({
+      key:   [sec.item_key, subId, item.dimension].map(norm).join('|'),
+      label: { item_key: sec.item_key, sub_id: subId, dimension: item.dimension, unit: item.unit },
+      rate:  item.rate,
+      provenance: item.provenance ?? null,
+    });
+    if (sec.rate != null) push(null, { dimension: null, unit: sec.unit, rate: sec.rate, provenance: sec.provenance });
+    sec.items.forEach(item => push(null, item));
+    sec.sub_sections.forEach(ss => ss.items.forEach(item => push(ss.sub_id, item)));
+  }
+  return rows;
+}
+
+const FLATTENERS = { labour: labourRows, pipe: pipeRows, ssr: data => ssrRows(data.sections ?? data) };
+
+/** Guess which dataset a parsed JSON document is. */
+function detectKind(data) {
+  if (Array.isArray(data) && data.every(r => 'category' in r && 'description' in r)) return 'labour';
+  if (Array.isArray(data?.items) && data.items.every(i => Array.isArray(i.rates))) return 'pipe';
+  if (Array.isArray(data?.sections) || (Array.isArray(data) && data.every(s => 'item_key' in s))) return 'ssr';
+  return null;
+}
+
+// ─── 3. COMPARISON ────────────────────────────────────────────────────────────
+
+function compareRows(oldRows, newRows) {
+  const oldMap = new Map(oldRows.map(r => [r.key, r]));
+  const newMap = new Map(newRows.map(r => [r.key, r]));
+
+  const changed = [];
+  const added   = [];
+  const dropped = [];
+  let unchanged = 0;
+
+  for (const [key, n] of newMap) {
+    const o = oldMap.get(key);
+    if (!o) {
+      added.push({ ...n.label, rate: n.rate });
+      continue;
+    }
+    if (o.rate === n.rate) {
+      unchanged++;
+      continue;
+    }
+    const numeric = typeof o.rate === 'number' && typeof n.rate === 'number';
+    changed.push({
+      ...n.label,
+      old_rate:   o.rate,
+      new_rate:   n.rate,
+      change:     numeric ? round2(n.rate - o.rate) : null,
+      change_pct: numeric && o.rate !== 0 ? round2(((n.rate - o.rate) / o.rate) * 100) : null,
+    });
+  }
+  for (const [key, o] of oldMap) {
+    if (!newMap.has(key)) dropped.push({ ...o.label, rate: o.rate });
+  }
+
+  return { changed, unchanged, added, dropped };
+}
+
+/**
+ * Compare two years of the same dataset kind ('labour' | 'pipe' | 'ssr').
+ */
+function compareYears(kind, oldData, newData, { from = null, to = null } = {}) {
+  const flatten = FLATTENERS[kind];
+  if (!flatten) throw new Error(`Unknown dataset kind "${kind}"`);
+
+  const result = compareRows(flatten(oldData), flatten(newData));
+  return {
+    kind,
+    from:    from ?? oldData.year ?? null,
+    to:      to   ?? newData.year ?? null,
+    summary: {
+      changed:   result.changed.length,
+      unchanged: result.unchanged,
+      added:     result.added.length,
+      dropped:   result.dropped.length,
+    },
+    changed: result.changed,
+    added:   result.added,
+    dropped: result.dropped,
+  };
+}
+
+// ─── 4. LOADERS ───────────────────────────────────────────────────────────────
+
+/**
+ * Records of the active import of one year, or null when nothing has been
+ * imported for it. Labour reads through the mongoose models (connection
+ * must be open); SSR reads from `db`, a native Db or mongoose connection
+ * to the SSR database.
+ */
+async function readActive(kind, year, db) {
+  if (kind === 'labour') {
+    const LabourRate  = require('../models/labourRates.js');
+    const ImportBatch = require('../models/importBatch.js');
+    const records = await LabourRate.find({
+      year,
+      ...await activeRecordFilter(ImportBatch.collection, 'labour', { year }),
+    }).lean();
+    return records.length > 0 ? records : null;
+  }
+
+  const meta = await activeBatchFor(db.collection('ssr_metadata'), 'ssr', year);
+  return meta ? readBatch(kind, meta, db) : null;
+}
+
+/** Records stored by one import batch. */
+function readBatch(kind, batch, db) {
+  if (kind === 'labour') {
+    const LabourRate = require('../models/labourRates.js');
+    return LabourRate.find({ batch: batch._id }).lean();
+  }
+  return db.collection('ssr_sections').find({ import_id: batch._id }).toArray();
+}
+
+async function loadFromDb(kind, years, { mongoUri } = {}) {
+  const mongoose = require('mongoose');
+  const config   = require('../config.js');
+
+  await mongoose.connect(mongoUri ?? config.mongoUri, { dbName: config.labourDbName });
+  try {
+    const db = mongoose.connection.useDb(config.ssrDbName, { useCache: true });
+    return await Promise.all(years.map(async (year) => {
+      const records = await readActive(kind, year, db);
+      if (kind === 'ssr' && !records) throw new Error(`No SSR import found for ${year}`);
+      return records ?? [];
+    }));
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+// ─── 5. CLI RUNNER ────────────────────────────────────────────────────────────
+
+function printReport(report) {
+  const describe = r => Object.entries(r)
+    .filter(([k, v]) => v != null && !['old_rate', 'new_rate', 'change', 'change_pct', 'rate', 'unit'].includes(k))
+    .map(([, v]) => v)
+    .join(' / ');
+
+  console.log(`\n${report.kind} rates: ${report.from ?? '?'} → ${report.to ?? '?'}`);
+  console.log(`  Changed ${report.summary.changed}, unchanged ${report.summary.unchanged}, ` +
+    `added ${report.summary.added}, dropped ${report.summary.dropped}\n`);
+
+  report.changed.forEach(c => {
+    const pct = c.change_pct == null ? '' : `  (${c.change_pct > 0 ? '+' : ''}${c.change_pct}%)`;
+    console.log(`  ~ ${describe(c)}: ${c.old_rate} → ${c.new_rate}${pct}`);
+  });
+  report.added.forEach(a => console.log(`  + ${describe(a)}: ${a.rate}`));
+  report.dropped.forEach(d => console.log(`  - ${describe(d)}: ${d.rate}`));
+}
+
+/**
+ * Build a report from two JSON files (mode 'file') or two stored years
+ * (mode 'labour' | 'ssr').
+ */
+async function compareSources(mode, a, b, opts = {}) {
+  if (mode === 'file') {
+    const oldData = JSON.parse(fs.readFileSync(a, 'utf8'));
+    const newData = JSON.parse(fs.readFileSync(b, 'utf8'));
+    const kind = detectKind(oldData);
+    if (!kind || kind !== detectKind(newData)) throw new Error('Both files must be the same dataset kind');
+    const yearOf = d => (Array.isArray(d) ? d[0]?.year : d.year) ?? null;
+    return compareYears(kind, oldData, newData, { from: yearOf(oldData), to: yearOf(newData) });
+  }
+
+  const [oldData, newData] = await loadFromDb(mode, [a, b], opts);
+  return compareYears(mode, oldData, newData, { from: a, to: b });
+}
+
+async function main() {
+  const [mode, a, b, reportFile] = process.argv.slice(2);
+  if (!mode || !a || !b) {
+    console.error('Usage: node lib/yearCompare.js <file|labour|ssr> <old> <new> [report.json]');
+    process.exit(1);
+  }
+
+  const report = await compareSources(mode, a, b);
+  printReport(report);
+  if (reportFile) {
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`\nReport written: ${reportFile}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  compareYears, compareRows, compareSources, detectKind, printReport,
+  labourRows, pipeRows, ssrRows, loadFromDb, readActive, readBatch,
+};
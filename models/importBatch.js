@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// One document per import run; records point at it through `batch`.
+// Only one batch per dataset + year is active (see lib/importBatches.js).
+const importBatchSchema = new mongoose.Schema(
+  {
+    dataset: { type: String, required: true, enum: ["labour", "ssr"] },
+
+    year: { type: String, required: true },
+
+    version: { type: Number, required: true },
+
+    source_file: { type: String, default: null },
+
+    checksum: { type: String, default: null },
+
+    record_count: { type: Number, default: 0 },
+
+    active: { type: Boolean, default: false },
+
+    legacy: { type: Boolean, default: false },
+
+    created_at: { type: Date, default: Date.now },
+
+    activated_at: { type: Date, default: null }
+  },
+  { collection: "import_batches" }
+);
+
+importBatchSchema.index({ dataset: 1, year: 1, version: -1 });
+
+module.exports = mongoose.model("ImportBatch", importBatchSchema);
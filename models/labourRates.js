@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { CATEGORIES } = require("../lib/labourSections.js");
 
 const labourRateSchema = new mongoose.Schema(
   {
@@ -7,7 +8,8 @@ const labourRateSchema = new mongoose.Schema(
     category: {
       type: String,
       required: true,
-      enum: ["Skilled", "Semi-Skilled", "Unskilled", "Conveyance"]
+      // Section names from lib/labourSections.json
+      enum: CATEGORIES
     },
 
     subCategory: { type: String, default: null },
@@ -16,9 +18,24 @@ const labourRateSchema = new mongoose.Schema(
 
     unit: { type: String, required: true },
 
-    rate: { type: Number, required: true }
+    rate: { type: Number, required: true },
+
+    // Cell the rate was read from (lib/workbook.js provenanceFor)
+    provenance: {
+      file: String,
+      sheet: String,
+      row: Number,
+      cell: String,
+      checksum: String
+    },
+
+    // Import batch this record belongs to (see models/importBatch.js)
+    batch: { type: mongoose.Schema.Types.ObjectId, ref: "ImportBatch" }
   },
   { timestamps: true }
 );
 
+// Natural key within a batch: imports upsert on it
+labourRateSchema.index({ batch: 1, year: 1, category: 1, subCategory: 1, description: 1 });
+
 module.exports = mongoose.model("LabourRate", labourRateSchema);
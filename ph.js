@@ -8,6 +8,9 @@
  *   node excel-to-json.js                        # uses input.xlsx in same folder
  *   node excel-to-json.js my-file.xlsx           # custom input
  *   node excel-to-json.js my-file.xlsx out.json  # custom input + output
+ *   node excel-to-json.js my-file.xlsx out.json 2006-07   # + schedule year
+ *
+ * Or through the unified CLI:  node cli.js parse pipe -i my-file.xlsx
  *
  * Install dependency:
  *   npm install xlsx
@@ -19,6 +22,9 @@
 const XLSX = require("xlsx");
 const fs   = require("fs");
 const path = require("path");
+const { detectYear, normaliseYear } = require("./lib/scheduleYear.js");
+const { loadWorkbook, sourceName, provenanceFor, pickSheet } = require("./lib/workbook.js");
+const { checkOutput } = require("./lib/outputSchema.js");
 
 // ═══════════════════════════════════════════════════════════════
 // CONFIG
@@ -28,6 +34,7 @@ const CONFIG = {
   department:  "Public Health",
   inputFile:   process.argv[2] || "input.xlsx",
   outputFile:  process.argv[3] || "output.json",
+  year:        process.argv[4] || null,   // schedule year; else read from sheet header
   sheetIndex:  0,          // which sheet to parse (0 = first)
 };
 
@@ -97,7 +104,8 @@ function isSectionHeader(col1, col2, col3, col4) {
 // PARSER
 // ═══════════════════════════════════════════════════════════════
 
-function parseSheet(sheet) {
+// `at` (lib/workbook.js provenanceFor) makes every rate record its source cell
+function parseSheet(sheet, at = null) {
   const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: null });
 
   const items   = [];
@@ -133,10 +141,12 @@ function parseSheet(sheet) {
       if (current.unit === null) {
         current.unit = col3.trim();
       }
-      current.rates.push({
+      const rate = {
         diameter: col2,
         rate:     parseFloat(col4.toFixed(2)),
-      });
+      };
+      if (at) rate.provenance = at(i, 3);
+      current.rates.push(rate);
       continue;
     }
 
@@ -176,6 +186,46 @@ function validate(items) {
   return warnings;
 }
 
+// ═══════════════════════════════════════════════════════════════
+// CONVERT
+// ═══════════════════════════════════════════════════════════════
+
+/**
+ * Build the output.json document from a workbook, Buffer or file path.
+ * `sheet` is a sheet name or index, `year` overrides the year found in the
+ * sheet header, `source` names the input when it is not a path.
+ * Throws on unreadable input / missing sheets.
+ */
+function convertWorkbook(input, { sheet = CONFIG.sheetIndex, year = null, source = null } = {}) {
+  const workbook = loadWorkbook(input);
+  const { name: sheetName, sheet: ws } = pickSheet(workbook, sheet);
+
+  const at       = provenanceFor(input, sheetName, ws, { file: source });
+  const items    = parseSheet(ws, at);
+  const warnings = validate(items);
+
+  const scheduleYear = year
+    ? normaliseYear(year)
+    : detectYear(XLSX.utils.sheet_to_json(ws, { header: 1, defval: null }));
+  if (year && !scheduleYear) {
+    throw new Error(`Invalid schedule year "${year}" (expected e.g. 2005-06).`);
+  }
+  if (!scheduleYear) warnings.push("Schedule year not found in sheet; pass the year (-y YYYY-YY, or the third argument of ph.js).");
+
+  const output = {
+    department:  CONFIG.department,
+    source:      sourceName(input, source),
+    sheet:       sheetName,
+    checksum:    at(0).checksum,
+    year:        scheduleYear,
+    generatedAt: new Date().toISOString(),
+    totalItems:  items.length,
+    items,
+  };
+
+  return { sheetName, warnings, output };
+}
+
 // ═══════════════════════════════════════════════════════════════
 // MAIN
 // ═══════════════════════════════════════════════════════════════
@@ -191,25 +241,17 @@ function main() {
 
   console.log(`Reading  : ${inputPath}`);
 
-  let workbook;
+  let result;
   try {
-    workbook = XLSX.readFile(inputPath);
+    result = convertWorkbook(inputPath, { year: CONFIG.year });
   } catch (err) {
-    console.error(`ERROR: Could not read Excel file.\n${err.message}`);
-    process.exit(1);
-  }
-
-  const sheetName = workbook.SheetNames[CONFIG.sheetIndex];
-  if (!sheetName) {
-    console.error(`ERROR: Sheet index ${CONFIG.sheetIndex} does not exist in workbook.`);
+    console.error(`ERROR: Could not convert Excel file.\n${err.message}`);
     process.exit(1);
   }
 
+  const { sheetName, warnings, output } = result;
+  const { items } = output;
   console.log(`Sheet    : "${sheetName}"`);
-  const sheet = workbook.Sheets[sheetName];
-
-  const items    = parseSheet(sheet);
-  const warnings = validate(items);
 
   if (warnings.length > 0) {
     console.warn("\nValidation warnings:");
@@ -217,13 +259,8 @@ function main() {
     console.warn("");
   }
 
-  const output = {
-    department:  CONFIG.department,
-    source:      path.basename(inputPath),
-    generatedAt: new Date().toISOString(),
-    totalItems:  items.length,
-    items,
-  };
+  // Schema check (lib/schemas/output.schema.json); errors → report, no output
+  if (!checkOutput("pipe", output, { output: outputPath }).valid) process.exit(1);
 
   try {
     fs.writeFileSync(outputPath, JSON.stringify(output, null, 2), "utf8");
@@ -243,4 +280,6 @@ function main() {
   console.log(`Output written: ${outputPath}\n`);
 }
 
-main();
\ No newline at end of file
+if (require.main === module) main();
+
+module.exports = { parseSheet, validate, convertWorkbook, normaliseItemNo };
@@ -8,11 +8,14 @@
  *   npm install xlsx
  *   node convertPhuse.js phuse.xlsx
  *   node convertPhuse.js phuse.xlsx output.json   ← custom output path
+ *
+ * Or through the unified CLI:  node cli.js parse phe -i phuse.xlsx
  */
 
 const XLSX = require('xlsx');
 const fs   = require('fs');
-const path = require('path');
+const { loadWorkbook, sourceName, pickSheet } = require('./lib/workbook.js');
+const { checkOutput } = require('./lib/outputSchema.js');
 
 // ─── 1. CONSTANTS ─────────────────────────────────────────────────────────────
 
@@ -132,6 +135,73 @@ function extractRateFormula(text) {
   };
 }
 
+// Computation rows: "(d) Total = a+b+c", "b) Material", "(g) Overheads …",
+// "(e) Add for water charges @ 1% on Labour & Testing Charges", "Rate per joint = h/10"
+const RE_LABEL     = /^\(?([a-z])\)\s*(.*)$/i;
+const RE_GROUP     = /\b(labour|materials?|machinery|testing)\b/gi;
+const RE_GROUP_ROW = /^(labour|materials?|machinery|testing)\s*:?$/i;
+const RE_PERCENT   = /(?:@|\bat|\bas)\s*(\d+(?:\.\d+)?)\s*%/i;
+const RE_SUM_EXPR  = /(?:=\s*\(?|\()\s*([a-z](?:\s*\+\s*[a-z])+)\s*\)?/i;
+const RE_RATE_EXPR = /=\s*\(?\s*([a-z](?:\s*\+\s*[a-z])*)\s*\)?\s*\/\s*(\d+(?:\.\d+)?)/i;
+
+const groupName = word => word.toLowerCase().replace(/s$/, '').replace('materials', 'material');
+const operandsOf = expr => expr.toLowerCase().split('+').map(o => o.trim());
+const amountCell = v => (isNum(v) ? toFloat(v) : null);
+
+/**
+ * One row of a sub-item's working as a computation step, or null when the
+ * row is plain text. Operands left null are filled in by addStep.
+ *   group       labour / material / machinery / testing lines
+ *   sum         "(d) Total = a+b+c", "(h) Cost for 10 joints (f+g)", "c) Total"
+ *   percentage  "(e) Add for water charges @ 1% on Labour & Testing Charges"
+ *   overheads   "(g) Overheads & Contractors Profit"
+ *   unparsed    a labelled row none of the above fits
+ */
+function parseStep(text, row, rowIndex) {
+  const m     = text.match(RE_LABEL);
+  const label = m ? m[1].toLowerCase() : null;
+  const body  = m ? m[2] : text;
+  const step  = { id: label ?? `r${rowIndex}`, label, kind: null, text, row: rowIndex, sheet_value: amountCell(row[6]) };
+
+  const pct = body.match(RE_PERCENT);
+  if (/overheads/i.test(body)) {
+    return { ...step, kind: 'overheads', factor: amountCell(row[4]), operands: null };
+  }
+  if (pct || (/^(add|sundries)\b/i.test(body) && isNum(row[4]))) {
+    // "… on Labour & Testing Charges", "Usage of Material …": a share of those groups
+    const on = body.match(/\b(?:on|of)\b(.*)$/i)?.[1] ?? '';
+    const sign = /^(deduct|less)\b/i.test(body) ? -1 : 1; // "Deduct–Credit for materials after use @ 80% …"
+    return {
+      ...step,
+      kind:     'percentage',
+      factor:   sign * (pct ? parseFloat(pct[1]) / 100 : toFloat(row[4])),
+      of:       [...new Set([...on.matchAll(RE_GROUP)].map(g => groupName(g[1])))],
+      operands: null,
+    };
+  }
+  const expr = body.match(RE_SUM_EXPR);
+  if (expr || /^(total|cost\s+for)\b/i.test(body)) {
+    return { ...step, kind: 'sum', operands: expr ? operandsOf(expr[1]) : null };
+  }
+  const group = body.match(RE_GROUP);
+  if (group && (label || RE_GROUP_ROW.test(body.trim()))) {
+    return { ...step, kind: 'group', name: groupName(group[0]), lines: [] };
+  }
+  return label ? { ...step, kind: 'unparsed' } : null;
+}
+
+/** "Rate per joint = h/10" as the last step; labelled rate rows ("(r) Rate per 1 Rmt …") stay unparsed. */
+function parseRateStep(text, row, rowIndex) {
+  const m    = text.match(RE_RATE_EXPR);
+  const step = { id: `r${rowIndex}`, label: null, kind: 'rate', text, row: rowIndex, sheet_value: amountCell(row[6]) };
+  if (m) return { ...step, operands: operandsOf(m[1]), divisor: parseFloat(m[2]) };
+  if (RE_LABEL.test(text)) return { ...step, id: text.match(RE_LABEL)[1].toLowerCase(), kind: 'unparsed' };
+  return { ...step, operands: null, divisor: 1 };
+}
+
+/** The common-data block while it is open (and not inside a sub-item). */
+const commonBlock = primary => (primary?.index_code === '__COMMON__' ? primary : null);
+
 function getLabourRole(desc) {
   const lower = desc.toLowerCase().trim();
   return LABOUR_ROLES.find(r => lower.startsWith(r)) ?? null;
@@ -149,6 +219,7 @@ function makePrimary(row, rowIndex) {
     sub_items:       [],
     direct_labour:   [],
     direct_material: [],
+    computation:     { steps: [] },
   };
 }
 
@@ -166,6 +237,7 @@ function makeSubItem(row, rowIndex) {
     material:     [],
     testing:      [],
     sundry:       [],
+    computation:  { steps: [] },
   };
 }
 
@@ -180,15 +252,67 @@ function makeInput(row, rowIndex) {
     row:             rowIndex,
   };
   if (role) inp.labour_role = role;
+  // the sheet's own working, where it has one
+  if (isNum(row[5])) inp.sheet_rate = toFloat(row[5]);
+  if (isNum(row[6])) inp.sheet_amount = toFloat(row[6]);
   return inp;
 }
 
+/**
+ * Append a step to a computation, making implicit operands explicit:
+ * a bare "Total" adds everything since the last total, a percentage or
+ * overheads applies to the last total (before any total: the steps so far).
+ */
+function addStep(computation, step) {
+  const steps   = computation.steps;
+  const counted = steps.filter(st => st.kind !== 'rate' && st.kind !== 'unparsed');
+  const lastSum = counted.filter(st => st.kind === 'sum').pop();
+  const since   = lastSum ? counted.slice(counted.indexOf(lastSum)) : counted;
+
+  const base = () => {
+    if (lastSum) return [lastSum.id];
+    const own = counted.filter(st => st.kind !== 'overheads');
+    const labelled = own.filter(st => st.label);
+    return (labelled.length ? labelled : own).map(st => st.id);
+  };
+
+  if (step.operands === null) {
+    if (step.kind === 'sum' || step.kind === 'rate') {
+      step.operands = step.kind === 'rate' && lastSum ? [lastSum.id] : since.map(st => st.id);
+    } else if (step.kind === 'percentage' && step.of.length) {
+      step.operands = counted.filter(st => st.kind === 'group' && step.of.includes(st.name)).map(st => st.id);
+    } else {
+      step.operands = base();
+    }
+  }
+  steps.push(step);
+  return step;
+}
+
+/** Route an input line to the open group (an unnamed one when there is none). */
+function addLine(computation, inp) {
+  const last = computation.steps[computation.steps.length - 1];
+  const labelled = inp.description.match(RE_LABEL);
+  const group = labelled || last?.kind !== 'group'
+    ? addStep(computation, {
+      id: labelled ? labelled[1].toLowerCase() : `r${inp.row}`, label: labelled ? labelled[1].toLowerCase() : null,
+      kind: 'group', text: inp.description, row: inp.row, sheet_value: null,
+      name: labelled && inp.description.match(RE_GROUP) ? groupName(inp.description.match(RE_GROUP)[0]) : null, lines: [],
+    })
+    : last;
+  group.lines.push(inp.row);
+}
+
 // ─── 6. STATE MACHINE ─────────────────────────────────────────────────────────
 
-function convertToJSON(filePath) {
+/**
+ * Parse a PHE rate-analysis workbook (file path, Buffer or workbook).
+ * `source` names the input when it is not a path.
+ */
+function convertToJSON(input, { sheet = 0, source = null } = {}) {
   // Read Excel
-  const wb   = XLSX.readFile(filePath, { raw: true, cellDates: false });
-  const ws   = wb.Sheets[wb.SheetNames[0]];
+  const wb   = loadWorkbook(input, { raw: true, cellDates: false });
+  const { name: sheetName, sheet: ws } = pickSheet(wb, sheet);
   const raw  = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null, raw: true });
 
   // Pad every row to 8 columns
@@ -198,6 +322,10 @@ function convertToJSON(filePath) {
   let primary  = null;
   let subItem  = null;
 
+  // the working (computation steps) of the open sub-item, else of the item
+  // itself (the common block, items without sub-items)
+  const working = () => (subItem ?? primary)?.computation ?? null;
+
   const closeSub = () => {
     if (subItem && primary) primary.sub_items.push(subItem);
     subItem = null;
@@ -228,6 +356,9 @@ function convertToJSON(filePath) {
           description: 'Common Data - Shared Base Analysis',
           row: rowIndex, notes: [], sub_items: [],
           direct_labour: [], direct_material: [],
+          // the reference pipe other analyses take their per-kg charges from
+          diameter_mm: null, weight_kg: null, rate_formula: null,
+          computation: { steps: [] },
         };
         break;
 
@@ -252,6 +383,7 @@ function convertToJSON(filePath) {
         } else {
           (target.material ?? target.direct_material).push(inp);
         }
+        if (working()) addLine(working(), inp);
         break;
       }
 
@@ -260,13 +392,15 @@ function convertToJSON(filePath) {
         const target = subItem || primary;
         if (!target) break;
         const list = target.material ?? target.direct_material;
-        list.push({
+        const inp  = {
           description:     desc,
           unit:            s(row[3]) || null,
           unit_normalized: normUnit(row[3]),
           quantity:        null,
           row:             rowIndex,
-        });
+        };
+        list.push(inp);
+        if (working()) addLine(working(), inp);
         break;
       }
 
@@ -278,13 +412,19 @@ function convertToJSON(filePath) {
             factor:      toFloat(row[4]),
             row:         rowIndex,
           });
+          const step = parseStep(desc, row, rowIndex)
+            ?? { id: `r${rowIndex}`, label: null, text: desc, row: rowIndex, sheet_value: amountCell(row[6]) };
+          addStep(subItem.computation, { ...step, kind: 'percentage', factor: toFloat(row[4]), of: [], operands: null });
         }
         break;
 
       // ── "Weight of 5m length = 85.5 kgs" ─────────────────────────────────
       case 'WEIGHT_CALC': {
         const w = extractWeight(desc);
-        if (w && subItem && !subItem.weight_kg) subItem.weight_kg = w;
+        const target = subItem ?? commonBlock(primary);
+        // after its rate line a sub-item is done: a weight there belongs to
+        // what follows ("PHE-CISP-14(sub_analysis)" is not an item code)
+        if (w && target && !target.weight_kg && !target.rate_formula) target.weight_kg = w;
         break;
       }
 
@@ -294,7 +434,10 @@ function convertToJSON(filePath) {
         if (rf && subItem) {
           subItem.rate_formula = rf;
           subItem.output_unit  = rf.per;
+        } else if (rf && commonBlock(primary) && !primary.rate_formula) {
+          primary.rate_formula = rf;
         }
+        if (working()) addStep(working(), parseRateStep(desc, row, rowIndex));
         break;
       }
 
@@ -303,8 +446,19 @@ function convertToJSON(filePath) {
         if (primary) primary.notes.push({ text: desc, row: rowIndex });
         break;
 
-      // ── Everything else (computation rows, text labels) ───────────────────
-      // Silently skip — they are formula labels like "(a) Labour:", "(c) Total = a+b"
+      // ── "(a) Labour:", "(c) Total = a+b", "Overheads & Contractors Profit" ──
+      // (and "200 mm dia CI pipes 5m long (class 'A')" in the common block)
+      case 'COMPUTATION':
+      case 'TEXT': {
+        if (!subItem && commonBlock(primary) && primary.diameter_mm == null) {
+          primary.diameter_mm = extractDiameter(desc);
+        }
+        const step = working() && parseStep(desc, row, rowIndex);
+        if (step) addStep(working(), step);
+        break;
+      }
+
+      // ── Everything else ───────────────────────────────────────────────────
       default:
         break;
     }
@@ -316,8 +470,8 @@ function convertToJSON(filePath) {
   const primaries = chunks.filter(c => c.index_code !== '__COMMON__');
 
   return {
-    source:           path.basename(filePath),
-    sheet:            wb.SheetNames[0],
+    source:           sourceName(input, source),
+    sheet:            sheetName,
     parsed_at:        new Date().toISOString(),
     total_items:      primaries.length,
     total_sub_items:  primaries.reduce((n, c) => n + c.sub_items.length, 0),
@@ -327,19 +481,24 @@ function convertToJSON(filePath) {
 
 // ─── 7. CLI RUNNER ────────────────────────────────────────────────────────────
 
-const inputFile  = process.argv[2];
-const outputFile = process.argv[3] ?? inputFile?.replace(/\.xlsx$/i, '_output.json');
+if (require.main === module) {
+  const inputFile  = process.argv[2];
+  const outputFile = process.argv[3] ?? inputFile?.replace(/\.xlsx$/i, '_output.json');
 
-if (!inputFile) {
-  console.error('Usage: node convertPhuse.js <phuse.xlsx> [output.json]');
-  process.exit(1);
-}
+  if (!inputFile) {
+    console.error('Usage: node convertPhuse.js <phuse.xlsx> [output.json]');
+    process.exit(1);
+  }
+
+  console.log(`Reading: ${inputFile}`);
+  const result = convertToJSON(inputFile);
+  if (!checkOutput('phe', result, { output: outputFile }).valid) process.exit(1);
+  fs.writeFileSync(outputFile, JSON.stringify(result, null, 2), 'utf8');
 
-console.log(`Reading: ${inputFile}`);
-const result = convertToJSON(inputFile);
-fs.writeFileSync(outputFile, JSON.stringify(result, null, 2), 'utf8');
+  console.log(`Done.`);
+  console.log(`  Primary items : ${result.total_items}`);
+  console.log(`  Sub-items     : ${result.total_sub_items}`);
+  console.log(`  Output        : ${outputFile}`);
+}
 
-console.log(`Done.`);
-console.log(`  Primary items : ${result.total_items}`);
-console.log(`  Sub-items     : ${result.total_sub_items}`);
-console.log(`  Output        : ${outputFile}`);
\ No newline at end of file
+module.exports = { convertToJSON, classifyRow };
@@ -7,246 +7,56 @@
  * SETUP:
  *   npm install xlsx mongodb dotenv
  *
- * ENV (.env file):
+ * ENV (.env file, read by config.js):
  *   MONGO_URI=mongodb://localhost:27017
  *   DB_NAME=public_health_ssr
  *
  * RUN:
  *   node storeToMongoDB.js
- *   node storeToMongoDB.js ./publichealth.xlsx   ← custom path
+ *   node storeToMongoDB.js ./publichealth.xlsx           ← custom path
+ *   node storeToMongoDB.js ./publichealth.xlsx 2006-07   ← explicit schedule year
+ *   node storeToMongoDB.js --dry-run                     ← print changes vs the active import, write nothing
+ *   node storeToMongoDB.js --stage                       ← store as an inactive batch (node cli.js apply ssr)
+ *
+ * Or through the unified CLI:  node cli.js import ssr -i publichealth.xlsx
+ *
+ * The schedule year defaults to the one printed in the sheet's rate column
+ * header (" S S RATE FOR 2005-06").
  */
 
-require('dotenv').config();
-const XLSX     = require('xlsx');
 const { MongoClient, ObjectId } = require('mongodb');
+const config   = require('./config.js');
+const { fileChecksum } = require('./lib/workbook.js');
+const { beginBatch, activateBatch, stagedMessage } = require('./lib/importBatches.js');
+const { parseSsrSheet, CATEGORIES } = require('./lib/ssrParser.js');
+const { previewImport } = require('./lib/importPreview.js');
+const { printReport } = require('./lib/yearCompare.js');
 
 // ─────────────────────────────────────────────────────────────
 // CONFIG
 // ─────────────────────────────────────────────────────────────
-const MONGO_URI  = process.env.MONGO_URI  || 'mongodb://localhost:27017';
-const DB_NAME    = process.env.DB_NAME    || 'public_health_ssr';
-const INPUT_FILE = process.argv[2]        || 'publichealth.xlsx';
-
-// ─────────────────────────────────────────────────────────────
-// CATEGORY MAP
-// ─────────────────────────────────────────────────────────────
-const CATEGORY_MAP = {
-  '1':   'Labour Rates',
-  '2':   'Earth Work',
-  '3':   'Rock Cutting & Blasting',
-  '3a':  'Rock Cutting & Blasting',
-  '3b':  'Rock Cutting & Blasting',
-  '3c':  'Rock Cutting & Blasting',
-  '3d':  'Rock Cutting & Blasting',
-  '3e':  'Rock Cutting & Blasting',
-  '3f':  'Rock Cutting & Blasting',
-  '4':   'Loading & Unloading',
-  '5':   'Loading & Unloading',
-  '6':   'Loading & Unloading',
-  '7':   'Loading & Unloading',
-  '8a':  'Pipe Laying',
-  '8b':  'Pipe Laying',
-  '9a':  'Pipe Jointing',
-  '9b':  'Pipe Jointing',
-  '10':  'Pipe Jointing',
-  '11a': 'RCC Pipe Laying',
-  '11b': 'RCC Pipe Laying',
-  '12':  'GI/PVC/HDPE Pipe Laying',
-  '13':  'AC Pressure Pipe Laying',
-  '14':  'AC Pressure Pipe Jointing',
-  '15':  'Stoneware Pipe Laying',
-  '16':  'PVC Pipe Laying & Testing',
-  '17':  'Valve Installation Labour',
-  '18a': 'Air Valve Labour',
-  '18b': 'Kinetic Air Valve Labour',
-  '19':  'Fire Hydrant Labour',
-  '20':  'CI/DI Pipe Uprooting',
-  '21':  'RCC Pipe Uprooting',
-  '22':  'GI/PVC/HDPE Pipe Removal',
-  '23':  'CI/DI Pipe Cutting',
-  '24':  'AC Pipe Cutting',
-  '25':  'Drilling & Tapping',
-  '26':  'Road Surface Cutting',
-  '27':  'Dewatering',
-  '28':  'Shoring & Strutting',
-  '29':  'Barricading & Watching',
-  '30':  'Underwater Trench Excavation',
-  '31':  'Infiltration Gallery',
-  '32':  'Infiltration Gallery',
-  '33':  'Centering & Scaffolding',
-  '34':  'Lift & Delift of Materials',
-  '35':  'Fixtures Labour',
-  '36':  'Sanitary Fixtures Labour',
-  '37':  'Sanitary Fixtures Labour',
-  '38':  'Sanitary Fixtures Labour',
-  '39':  'Sanitary Fixtures Labour',
-  '40':  'Trench Refilling',
-  '41a': 'Isolated Scattered Works',
-  '41b': 'Repairs to Mains',
-  '42':  'Silt & Sludge Removal',
-  '43':  'Pipe Conveyance',
-  '44':  'Pipe Conveyance',
-  '45':  'Pipe Conveyance',
-  '46':  'Pipe Conveyance',
-  '47':  'Pipe Conveyance',
-  '48':  'Well Sinking',
-  '49':  'Well Sinking',
-  '50':  'Open Well Excavation',
-  '51':  'OHSR/ELSR Rates (Kilo Litres)',
-  '52':  'OHSR/ELSR Rates (Litres)',
-  '53':  'Rapid Gravity Filtration Plant',
-};
+const MONGO_URI  = config.mongoUri;
+const DB_NAME    = config.ssrDbName;
+const ARGS       = process.argv.slice(2).filter(a => !a.startsWith('--'));
+const FLAGS      = process.argv.slice(2).filter(a => a.startsWith('--'));
+const INPUT_FILE = ARGS[0]                || 'publichealth.xlsx';
+const YEAR_ARG   = ARGS[1];
+const DRY_RUN    = FLAGS.includes('--dry-run');
+const STAGE      = FLAGS.includes('--stage');
 
 // ─────────────────────────────────────────────────────────────
-// HELPERS
+// CATEGORY MAP  (shared with publichealth.js — lib/ssrParser.js)
 // ─────────────────────────────────────────────────────────────
-const clean = (v) => (v == null ? null : String(v).trim().replace(/\s+/g, ' ') || null);
-
-const parseRate = (v) => {
-  if (v == null) return null;
-  if (typeof v === 'number') return v;
-  const s = String(v).trim();
-  if (!s) return null;
-  const n = parseFloat(s);
-  return isNaN(n) ? s : n;
-};
-
-const snoKey = (sno) =>
-  sno == null ? null : String(sno).replace(/[\s.]+/g, '').toLowerCase();
-
-const isSectionHeader = (sno, unit, rate) => {
-  if (sno == null) return false;
-  if (typeof sno === 'number') return unit == null && rate == null;
-  return /^\d+\s*\.?\s*[a-z]?\.?$/i.test(String(sno).trim()) && unit == null && rate == null;
-};
-
-const isSimpleCompound = (sno) => {
-  if (!sno) return false;
-  return /^(8a|8b|9a|9b|11a|11b|18a|18b|41a|41b)$/i.test(
-    String(sno).replace(/[\s.]+/g, '').toLowerCase()
-  );
-};
-
-const isSubSection = (sno, unit, rate) =>
-  sno != null &&
-  /^[a-zA-Z]$/.test(String(sno).trim()) &&
-  unit == null &&
-  rate == null;
-
-const isSkip = (desc) => {
-  if (!desc) return false;
-  return (
-    /^DIAMETER OF PIPE/i.test(desc) ||
-    /^DIA (in|of)/i.test(desc) ||
-    /^NOTE\b/i.test(desc) ||
-    /^\s{4,}/.test(desc)
-  );
-};
+const CATEGORY_MAP = CATEGORIES;
 
 // ─────────────────────────────────────────────────────────────
 // PARSE EXCEL → In-memory document array
 // ─────────────────────────────────────────────────────────────
-function parseExcel(filePath) {
-  const workbook = XLSX.readFile(filePath);
-  const ws = workbook.Sheets[workbook.SheetNames[0]];
-  const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: null });
-
-  const sections = [];
-  let currentSection = null;
-  let currentSubSection = null;
-
-  for (let i = 2; i < rows.length; i++) {
-    const [, rawSno, rawDesc, rawUnit, rawRate] = [...rows[i], null, null, null, null, null];
-
-    const sno  = rawSno != null ? (typeof rawSno === 'string' ? rawSno.trim() : rawSno) : null;
-    const desc = clean(rawDesc);
-    const unit = clean(rawUnit);
-    const rate = parseRate(rawRate);
-    const key  = snoKey(sno);
-
-    if (!sno && !desc && !unit && rate == null) continue;
-
-    // ── COMPOUND ITEMS (8a, 8b, 9a, 9b, 11a, 11b…)
-    if (sno && isSimpleCompound(sno)) {
-      currentSection = buildSection(sno, key, desc, unit, rate);
-      currentSubSection = null;
-      sections.push(currentSection);
-      continue;
-    }
-
-    // ── MAIN SECTION HEADER
-    if (isSectionHeader(sno, unit, rate)) {
-      currentSection = buildSection(sno, key, desc, unit, rate);
-      currentSubSection = null;
-      sections.push(currentSection);
-      continue;
-    }
-
-    // ── SUB-SECTION (letter a/b/c)
-    if (isSubSection(sno, unit, rate) && currentSection) {
-      currentSubSection = { sub_id: String(sno).trim(), description: desc, items: [] };
-      currentSection.sub_sections.push(currentSubSection);
-      continue;
-    }
-
-    // ── AUTO SUB-SECTION (GI PIPES:, PVC/HDPE… headers inside item 12)
-    if (currentSection && !sno && desc && !isSkip(desc)) {
-      if (/G\.I\. PIPES|PVC.HDPE pipes/i.test(desc)) {
-        currentSubSection = {
-          sub_id: 'auto_' + (currentSection.sub_sections.length + 1),
-          description: desc,
-          items: [],
-        };
-        currentSection.sub_sections.push(currentSubSection);
-        continue;
-      }
-    }
-
-    // ── RATE ITEM (has unit + rate)
-    if (currentSection && unit && rate != null) {
-      const item = buildRateItem(desc, unit, rate);
-      if (currentSubSection) currentSubSection.items.push(item);
-      else currentSection.items.push(item);
-      continue;
-    }
-
-    // ── RATE-ONLY ROW (item 33 scaffolding — rate in col E, desc in col C)
-    if (currentSection && rate != null && !unit && !sno) {
-      const target = currentSubSection ? currentSubSection.items : currentSection.items;
-      if (desc && target.length === 0) {
-        target.push(buildRateItem(desc, null, rate));
-      } else if (target.length > 0 && target[target.length - 1].rate == null) {
-        target[target.length - 1].rate = rate;
-      } else {
-        target.push(buildRateItem(desc, null, rate));
-      }
-    }
-  }
-
-  return sections;
-}
-
-function buildSection(sno, key, desc, unit, rate) {
-  return {
-    item_no:      typeof sno === 'number' ? sno : String(sno),
-    item_key:     key,
-    category:     CATEGORY_MAP[key] || CATEGORY_MAP[String(sno)] || 'General',
-    title:        desc,
-    unit:         unit,
-    rate:         rate,
-    rate_type:    rate == null ? null : (typeof rate === 'number' ? 'numeric' : 'formula'),
-    sub_sections: [],
-    items:        [],
-  };
-}
-
-function buildRateItem(desc, unit, rate) {
-  return {
-    dimension:  desc ? desc.replace(/\s*mm$/i, '').trim() : null,
-    unit:       unit ? unit.trim() : null,
-    rate:       rate,
-    rate_type:  typeof rate === 'number' ? 'numeric' : 'formula',
-  };
+// Accepts a file path, a Buffer or an already-read workbook. Same sections
+// as publichealth.js writes to JSON (node cli.js validate ssr checks this).
+function parseExcel(input, { year, sheet = 0, source = null } = {}) {
+  const parsed = parseSsrSheet(input, { year, sheet, source });
+  return { year: parsed.year, sections: parsed.sections };
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -265,6 +75,7 @@ function buildRateItem(desc, unit, rate) {
   DOCUMENT SHAPE:
   {
     _id: ObjectId,
+    import_id: ObjectId,               ← ssr_metadata batch
     metadata: { title, year, source_file, imported_at },
     item_no: 1,
     item_key: "1",
@@ -273,69 +84,110 @@ function buildRateItem(desc, unit, rate) {
     unit: null,
     rate: null,
     rate_type: null,
+    provenance: { file, sheet, row, cell, checksum },   ← where the rate was read
     sub_sections: [
       {
         sub_id: "a",
         description: "G.I. PIPES",
-        items: [ { dimension, unit, rate, rate_type }, ... ]
+        items: [ { dimension, unit, rate, rate_type, provenance }, ... ]
       }
     ],
-    items: [ { dimension, unit, rate, rate_type }, ... ]
+    items: [ { dimension, unit, rate, rate_type, provenance }, ... ]
+    // text rates also carry rate_ref: { type, text, … } (lib/rateReference.js)
   }
+
+  COLLECTION: ssr_metadata
+  ─────────────────────────
+  One document per import (batch): { dataset: "ssr", year, version,
+  source_file, checksum, active, imported_at, … }. Exactly one batch per
+  year is active; readers select sections by the active batch's import_id.
+  Re-importing the same file (same checksum) updates its batch in place.
 */
 
 // ─────────────────────────────────────────────────────────────
 // STORE TO MONGODB
 // ─────────────────────────────────────────────────────────────
-async function storeToMongoDB(sections) {
-  const client = new MongoClient(MONGO_URI);
+async function storeToMongoDB(sections, year, {
+  mongoUri   = MONGO_URI,
+  dbName     = DB_NAME,
+  sourceFile = INPUT_FILE,
+  checksum   = null,
+  activate   = true,
+} = {}) {
+  // sections are upserted by item_key: a repeated key would silently replace
+  // the section before it
+  const seen = new Set();
+  const repeated = [...new Set(sections.map(s => s.item_key).filter(k => seen.has(k) || !seen.add(k)))];
+  if (repeated.length) {
+    throw new Error(`Item key(s) ${repeated.slice(0, 5).join(", ")}${repeated.length > 5 ? ", …" : ""} appear more than once; nothing imported`);
+  }
+
+  const client = new MongoClient(mongoUri);
 
   try {
     await client.connect();
     console.log('  Connected to MongoDB');
 
-    const db = client.db(DB_NAME);
+    const db = client.db(dbName);
 
-    // ── 1. METADATA collection (one document per import)
+    // ── 1. METADATA collection (one versioned batch per import)
     const metaCol = db.collection('ssr_metadata');
-    const metaDoc = {
+    const { batch: metaDoc, reused } = await beginBatch(metaCol, {
+      dataset:     'ssr',
+      year,
+      source_file: sourceFile,
+      checksum,
       title:       'Public Health Items - Schedule of Standard Rates',
-      year:        '2005-06',
-      source_file: INPUT_FILE,
       imported_at: new Date(),
       total_sections: sections.length,
       total_items: sections.reduce((sum, s) => {
         return sum + s.items.length +
           s.sub_sections.reduce((a, ss) => a + ss.items.length, 0);
       }, 0),
-    };
-    const metaResult = await metaCol.insertOne(metaDoc);
-    const importId = metaResult.insertedId;
-    console.log(`  Metadata stored (importId: ${importId})`);
-
-    // ── 2. SECTIONS collection — drop old data first (idempotent import)
+    });
+    const importId = metaDoc._id;
+    console.log(reused
+      ? `  Same file already imported — updating batch v${metaDoc.version} (importId: ${importId})`
+      : `  Metadata stored as batch v${metaDoc.version} (importId: ${importId})`);
+
+    // ── 2. SECTIONS collection — upsert by (import_id, item_key); older
+    //       batches are left untouched so they can be rolled back to
     const secCol = db.collection('ssr_sections');
-    await secCol.deleteMany({ import_id: importId });
 
     // Attach import_id + metadata ref to each section doc
-    const docs = sections.map(sec => ({
-      import_id:   importId,
-      metadata: {
-        title:       metaDoc.title,
-        year:        metaDoc.year,
-        source_file: metaDoc.source_file,
-        imported_at: metaDoc.imported_at,
+    const ops = sections.map(sec => ({
+      replaceOne: {
+        filter: { import_id: importId, item_key: sec.item_key },
+        replacement: {
+          import_id:   importId,
+          metadata: {
+            title:       metaDoc.title,
+            year:        metaDoc.year,
+            source_file: metaDoc.source_file,
+            imported_at: metaDoc.imported_at,
+          },
+          ...sec,
+        },
+        upsert: true,
       },
-      ...sec,
     }));
 
-    const insertResult = await secCol.insertMany(docs, { ordered: true });
-    console.log(`📦  Inserted ${insertResult.insertedCount} section documents`);
+    const writeResult = await secCol.bulkWrite(ops, { ordered: true });
+    const sectionsStored = writeResult.upsertedCount + writeResult.matchedCount;
+    console.log(`📦  Stored ${sectionsStored} section documents ` +
+      `(${writeResult.upsertedCount} new, ${writeResult.matchedCount} replaced)`);
+
+    if (activate) {
+      await activateBatch(metaCol, importId);
+      console.log(`  Batch v${metaDoc.version} is now active for ${year}`);
+    }
 
     // ── 3. CREATE INDEXES for common query patterns
     await secCol.createIndex({ item_key: 1 },            { unique: false });
     await secCol.createIndex({ category: 1 }),
-    await secCol.createIndex({ 'metadata.year': 1 });
+    await secCol.createIndex({ import_id: 1, item_key: 1 });
+    await secCol.createIndex({ 'metadata.year': 1, item_key: 1 });
+    await metaCol.createIndex({ dataset: 1, year: 1, version: -1 });
     await secCol.createIndex({ 'items.rate': 1 });
     await secCol.createIndex({ 'sub_sections.items.rate': 1 });
     // Text index for full-text search on section titles
@@ -346,9 +198,9 @@ async function storeToMongoDB(sections) {
     console.log('  Indexes created');
 
     // ── 4. PRINT SAMPLE QUERIES
-    printSampleQueries(DB_NAME);
+    printSampleQueries(dbName);
 
-    return { importId, sectionsInserted: insertResult.insertedCount };
+    return { importId, version: metaDoc.version, reused, active: activate || Boolean(metaDoc.active), sectionsInserted: sectionsStored };
 
   } finally {
     await client.close();
@@ -399,8 +251,9 @@ db.ssr_sections.aggregate([
 // 7. List all categories
 db.ssr_sections.distinct("category")
 
-// 8. Get all sections for year 2005-06
-db.ssr_sections.find({ "metadata.year": "2005-06" })
+// 8. Get all sections of the active 2005-06 import
+const { _id } = db.ssr_metadata.findOne({ year: "2005-06", active: true })
+db.ssr_sections.find({ import_id: _id })
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 `);
 }
@@ -414,17 +267,36 @@ async function main() {
   console.log(`   DB     : ${MONGO_URI} / ${DB_NAME}\n`);
 
   console.log('  Parsing Excel file...');
-  const sections = parseExcel(INPUT_FILE);
-  console.log(`   Found ${sections.length} sections`);
+  const { year, sections } = parseExcel(INPUT_FILE, { year: YEAR_ARG });
+  console.log(`   Found ${sections.length} sections (year ${year})`);
+
+  if (DRY_RUN || STAGE) {
+    const client = new MongoClient(MONGO_URI);
+    try {
+      await client.connect();
+      printReport(await previewImport('ssr', year, sections, client.db(DB_NAME), { source: INPUT_FILE }));
+    } finally {
+      await client.close();
+    }
+    if (DRY_RUN) {
+      console.log('\n  Dry run — nothing written.\n');
+      return;
+    }
+  }
 
   console.log('  Storing to MongoDB...');
-  const result = await storeToMongoDB(sections);
+  const result = await storeToMongoDB(sections, year, { checksum: fileChecksum(INPUT_FILE), activate: !STAGE });
 
   console.log(`\n  Done! ${result.sectionsInserted} sections stored.`);
   console.log(`   importId: ${result.importId}\n`);
+  if (STAGE) console.log(`  ${stagedMessage('ssr', year, result)}\n`);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('  Fatal error:', err);
+    process.exit(1);
+  });
 }
 
-main().catch(err => {
-  console.error('  Fatal error:', err);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = { parseExcel, storeToMongoDB, CATEGORY_MAP };
\ No newline at end of file
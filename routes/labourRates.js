@@ -0,0 +1,74 @@
+/**
+ * Labour rate routes
+ * ==================
+ *   GET /api/labour-rates          ?year=&category=&subCategory=&q=
+ *   GET /api/labour-rates/years    distinct schedule years
+ *   GET /api/labour-rates/:id      single record (any batch)
+ *   GET /api/labour-rates/:id/provenance   workbook cell the rate was read from
+ *
+ * Lists only show records of each year's active import batch.
+ */
+
+const express    = require('express');
+const LabourRate  = require('../models/labourRates.js');
+const ImportBatch = require('../models/importBatch.js');
+const { activeRecordFilter } = require('../lib/importBatches.js');
+
+const router = express.Router();
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/labour-rates
+// ─────────────────────────────────────────────────────────────
+router.get('/', async (req, res) => {
+  const { year, category, subCategory, q } = req.query;
+  // ?q=a&q=b arrives as an array: refuse rather than query with it
+  const notText = Object.entries({ year, category, subCategory, q }).find(([, v]) => v != null && typeof v !== 'string');
+  if (notText) return res.status(400).json({ error: `${notText[0]} must be given once, as text` });
+
+  const filter = {};
+
+  if (year)        filter.year = year;
+  if (category)    filter.category = category;
+  if (subCategory) filter.subCategory = subCategory === 'null' ? null : subCategory;
+  if (q)           filter.description = { $regex: escapeRegex(q), $options: 'i' };
+  Object.assign(filter, await activeRecordFilter(ImportBatch.collection, 'labour', { year }));
+
+  const rates = await LabourRate.find(filter)
+    .sort({ year: 1, category: 1, subCategory: 1, description: 1 })
+    .lean();
+
+  res.json({ count: rates.length, rates });
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/labour-rates/years
+// ─────────────────────────────────────────────────────────────
+router.get('/years', async (req, res) => {
+  const active = await activeRecordFilter(ImportBatch.collection, 'labour');
+  const years = await LabourRate.distinct('year', active);
+  res.json({ years: years.sort() });
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/labour-rates/:id
+// ─────────────────────────────────────────────────────────────
+router.get('/:id', async (req, res) => {
+  const rate = await LabourRate.findById(req.params.id).lean();
+  if (!rate) return res.status(404).json({ error: 'Labour rate not found' });
+  res.json(rate);
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/labour-rates/:id/provenance
+// ─────────────────────────────────────────────────────────────
+router.get('/:id/provenance', async (req, res) => {
+  const rate = await LabourRate.findById(req.params.id)
+    .select('year category subCategory description unit rate provenance batch')
+    .lean();
+  if (!rate) return res.status(404).json({ error: 'Labour rate not found' });
+  res.json({ ...rate, provenance: rate.provenance ?? null });
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+/**
+ * SSR section routes
+ * ==================
+ * Read-only access to the ssr_sections collection written by publicdb.js.
+ *
+ *   GET /api/ssr-sections              ?category=&year=&item_key=&q=&diameter=
+ *   GET /api/ssr-sections/categories   distinct categories
+ *   GET /api/ssr-sections/:itemKey     ?year=&diameter=
+ *   GET /api/ssr-sections/:itemKey/provenance   ?year=&diameter=
+ *       rates of the item with the workbook cell each was read from
+ *   GET /api/ssr-sections/:itemKey/rate   ?diameter=&year=
+ *       rate for any diameter: exact row, range row or interpolated
+ *       (the `rule` field says which; lib/diameterLookup.js)
+ *
+ * Only sections of each year's active import batch (ssr_metadata) are
+ * served.
+ *
+ * Every query parameter is given once, as text (400 otherwise).
+ *
+ * `q` uses the text_search_idx index (section titles + sub-section
+ * descriptions). `diameter` (alias `dimension`) narrows the embedded rate
+ * items to the matching row(s) and drops sections that have none.
+ */
+
+const express = require('express');
+const { activeBatches } = require('../lib/importBatches.js');
+const { traceRates } = require('../lib/rateTrace.js');
+const { rateForDiameter } = require('../lib/diameterLookup.js');
+
+// ─────────────────────────────────────────────────────────────
+// HELPERS
+// ─────────────────────────────────────────────────────────────
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normDimension = (v) =>
+  v == null ? null : String(v).trim().replace(/\s*mm$/i, '').toLowerCase();
+
+/**
+ * Keep only the items (direct and inside sub-sections) whose dimension
+ * matches. Returns null when nothing in the section matches.
+ */
+function filterByDimension(section, dimension) {
+  const wanted  = normDimension(dimension);
+  const matches = (item) => normDimension(item.dimension) === wanted;
+
+  const items = (section.items || []).filter(matches);
+  const subSections = (section.sub_sections || [])
+    .map(ss => ({ ...ss, items: (ss.items || []).filter(matches) }))
+    .filter(ss => ss.items.length > 0);
+
+  if (items.length === 0 && subSections.length === 0) return null;
+  return { ...section, items, sub_sections: subSections };
+}
+
+function dimensionFilter(dimension) {
+  const pattern = new RegExp(`^\\s*${escapeRegex(String(dimension).trim())}\\s*(mm)?\\s*$`, 'i');
+  return {
+    $or: [
+      { 'items.dimension': pattern },
+      { 'sub_sections.items.dimension': pattern },
+    ],
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// ROUTER
+// ─────────────────────────────────────────────────────────────
+function createSsrSectionsRouter(db) {
+  const router     = express.Router();
+  const collection = db.collection('ssr_sections');
+  const metadata   = db.collection('ssr_metadata');
+
+  const activeImportIds = async (year) =>
+    [...(await activeBatches(metadata, 'ssr', year)).values()].map(b => b._id);
+
+  // ?q=a&q=b arrives as an array: refuse rather than query with it
+  router.use((req, res, next) => {
+    const notText = Object.entries(req.query).find(([, v]) => typeof v !== 'string');
+    if (notText) return res.status(400).json({ error: `${notText[0]} must be given once, as text` });
+    next();
+  });
+
+  // ── GET /api/ssr-sections
+  router.get('/', async (req, res) => {
+    const { category, year, item_key: itemKey, q } = req.query;
+    const dimension = req.query.diameter ?? req.query.dimension;
+    const filter = { import_id: { $in: await activeImportIds(year) } };
+
+    if (category)  filter.category = category;
+    if (year)      filter['metadata.year'] = year;
+    if (itemKey)   filter.item_key = String(itemKey).toLowerCase();
+    if (q)         filter.$text = { $search: q };
+    if (dimension) Object.assign(filter, dimensionFilter(dimension));
+
+    const cursor = q
+      ? collection.find(filter, { projection: { score: { $meta: 'textScore' } } })
+        .sort({ score: { $meta: 'textScore' } })
+      : collection.find(filter).sort({ 'metadata.year': 1, _id: 1 });
+
+    let sections = await cursor.toArray();
+    if (dimension) sections = sections.map(s => filterByDimension(s, dimension)).filter(Boolean);
+
+    res.json({ count: sections.length, sections });
+  });
+
+  // ── GET /api/ssr-sections/categories
+  router.get('/categories', async (req, res) => {
+    const categories = await collection.distinct('category', { import_id: { $in: await activeImportIds() } });
+    res.json({ categories: categories.sort() });
+  });
+
+  /**
+   * Section for /:itemKey routes, narrowed to ?diameter= when given (and
+   * `narrow` is set). Sends the 404 and returns null when there is none.
+   */
+  async function findSection(req, res, { narrow = true } = {}) {
+    const { year } = req.query;
+    const dimension = narrow ? req.query.diameter ?? req.query.dimension : null;
+    const filter = {
+      import_id: { $in: await activeImportIds(year) },
+      item_key:  req.params.itemKey.toLowerCase(),
+    };
+
+    // Most recent year first when no year is asked for
+    let section = await collection.findOne(filter, { sort: { 'metadata.year': -1 } });
+    if (!section) {
+      res.status(404).json({ error: `SSR item ${req.params.itemKey} not found` });
+      return null;
+    }
+
+    if (dimension) {
+      section = filterByDimension(section, dimension);
+      if (!section) {
+        res.status(404).json({
+          error: `No rate for dimension ${dimension} under SSR item ${req.params.itemKey}`,
+        });
+        return null;
+      }
+    }
+    return section;
+  }
+
+  // ── GET /api/ssr-sections/:itemKey
+  router.get('/:itemKey', async (req, res) => {
+    const section = await findSection(req, res);
+    if (section) res.json(section);
+  });
+
+  // ── GET /api/ssr-sections/:itemKey/provenance
+  router.get('/:itemKey/provenance', async (req, res) => {
+    const section = await findSection(req, res);
+    if (!section) return;
+
+    const rates = traceRates('ssr', [section]);
+    res.json({ item_key: section.item_key, year: section.metadata?.year ?? null, count: rates.length, rates });
+  });
+
+  // ── GET /api/ssr-sections/:itemKey/rate
+  router.get('/:itemKey/rate', async (req, res) => {
+    const diameter = req.query.diameter ?? req.query.dimension;
+    if (diameter == null) return res.status(400).json({ error: 'diameter is required' });
+
+    // Range / interpolation needs the whole table, not the ?diameter= match
+    const section = await findSection(req, res, { narrow: false });
+    if (!section) return;
+
+    const items = [...(section.items || []), ...(section.sub_sections || []).flatMap(ss => ss.items || [])];
+    let result;
+    try {
+      result = rateForDiameter(items, diameter);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const status = result.rate == null ? 404 : 200;
+    res.status(status).json({ item_key: section.item_key, year: section.metadata?.year ?? null, ...result });
+  });
+
+  return router;
+}
+
+module.exports = createSsrSectionsRouter;
@@ -50,103 +50,201 @@
 // }
 
 // seedDatabase();
+// Usage:
+//   node seed.js                              # labourrates.xlsx, year from sheet header
+//   node seed.js my-rates.xlsx                # custom input
+//   node seed.js my-rates.xlsx 2006-07        # custom input + explicit year
+//   node seed.js --dry-run                    # print changes vs the active data, write nothing
+//   node seed.js --stage                      # store as an inactive batch (node cli.js apply labour)
+//
+// Each run is stored as a new versioned batch for its year; the previous
+// batch stays in the collection and can be re-activated (node cli.js rollback).
+//
+// Or through the unified CLI:  node cli.js import labour -i my-rates.xlsx
+
 const XLSX = require("xlsx");
+const path = require("path");
 const mongoose = require("mongoose");
 const LabourRate = require("./models/labourRates.js");
+const ImportBatch = require("./models/importBatch.js");
+const config = require("./config.js");
+const { resolveYear } = require("./lib/scheduleYear.js");
+const { loadWorkbook, fileChecksum, provenanceFor, pickSheet } = require("./lib/workbook.js");
+const { beginBatch, activateBatch, stagedMessage } = require("./lib/importBatches.js");
+const { createHeaderMatcher } = require("./lib/labourSections.js");
+const { previewImport } = require("./lib/importPreview.js");
+const { printReport } = require("./lib/yearCompare.js");
 
-// 🔹 Connect MongoDB
-mongoose
-  .connect("mongodb://127.0.0.1:27017/labourDB")
-  .then(() => console.log("✅ MongoDB Connected"))
-  .catch((err) => {
-    console.error("❌ MongoDB Connection Error:", err);
-    process.exit(1);
-  });
+const ARGS = process.argv.slice(2).filter((a) => !a.startsWith("--"));
+const FLAGS = process.argv.slice(2).filter((a) => a.startsWith("--"));
+const INPUT_FILE = ARGS[0] || "labourrates.xlsx";
+const YEAR_ARG = ARGS[1];
+const DRY_RUN = FLAGS.includes("--dry-run");
+const STAGE = FLAGS.includes("--stage");
 
-async function importExcel() {
-  try {
-    // 🔹 Read Excel
-    const workbook = XLSX.readFile("labourrates.xlsx");
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-
-    let currentSection = null;
-    let currentSubSection = null;
-    const finalData = [];
+// 🔹 Text of a section / subsection header row, or null for item rows
+function headerText(row) {
+  if (typeof row[0] === "number") return null;
+  if (row[4] !== undefined && row[4] !== null && row[4] !== "") return null;
+  const text = [row[0], row[1], row[2]].find((c) => typeof c === "string" && c.trim());
+  return text ? text.trim() : null;
+}
 
-    for (let row of rows) {
-      const description = row[2] ? String(row[2]).trim() : "";
-      const unit = row[3] ? String(row[3]).trim() : "";
-      const rate = row[4];
+// 🔹 Parse the labour-rate sheet into flat LabourRate records
+//    (input: file path, Buffer or an already-read workbook)
+function parseLabourRates(input, { year: yearArg, sheet = 0, rules, source = null } = {}) {
+  const matchHeader = createHeaderMatcher(rules);
+  const workbook = loadWorkbook(input);
+  const { name: sheetName, sheet: ws } = pickSheet(workbook, sheet);
+  const rows = XLSX.utils.sheet_to_json(ws, { header: 1 });
+  const year = resolveYear(yearArg, rows);
+  const at = provenanceFor(input, sheetName, ws, { file: source });
 
-      if (!description) continue;
+  let currentSection = null;
+  let currentSubSection = null;
+  const finalData = [];
+  const unknownHeaders = [];
 
-      const lowerDesc = description.toLowerCase();
+  for (const [i, row] of rows.entries()) {
+    const description = row[2] ? String(row[2]).trim() : "";
+    const unit = row[3] ? String(row[3]).trim() : "";
+    const rate = row[4];
 
-      // 🔹 Detect Sections (Match Enum Exactly)
-      if (lowerDesc.includes("skilled workmen")) {
-        currentSection = "Skilled";
+    // 🔹 Headers: no serial number and no rate (their text may sit in
+    //    column A or B). Names come from lib/labourSections.json.
+    const header = headerText(row);
+    if (header) {
+      const match = matchHeader(header);
+      if (!match) {
+        unknownHeaders.push({ row: i + 1, text: header, skippedRows: 0 });
+        currentSection = null;
         currentSubSection = null;
-        continue;
-      }
-
-      if (lowerDesc.includes("semi-skilled")) {
-        currentSection = "Semi-Skilled";
+      } else if (match.level === "category") {
+        currentSection = match.name;
         currentSubSection = null;
-        continue;
+      } else {
+        currentSubSection = match.name;
       }
+      continue;
+    }
 
-      if (lowerDesc.includes("unskilled")) {
-        currentSection = "Unskilled";
-        currentSubSection = null;
-        continue;
-      }
+    // 🔹 Skip invalid rows
+    if (!description) continue;
+    if (!currentSection) {
+      if (unknownHeaders.length > 0 && typeof rate === "number") unknownHeaders.at(-1).skippedRows++;
+      continue;
+    }
+    if (rate === undefined || rate === null) continue;
+    if (typeof rate !== "number") continue;
 
-      if (lowerDesc.includes("other conveyance")) {
-        currentSection = "Conveyance";
-        currentSubSection = null;
-        continue;
-      }
+    // 🔹 Push Clean Record
+    finalData.push({
+      year,
+      category: currentSection,
+      subCategory: currentSubSection || null,
+      description,
+      unit,
+      rate,
+      provenance: at(i, 4), // 🔹 file / sheet / row / cell the rate came from
+    });
+  }
 
-      // 🔹 Detect Subsections
-      if (lowerDesc.includes("first class")) {
-        currentSubSection = "First Class";
-        continue;
-      }
+  return { year, records: finalData, unknownHeaders };
+}
 
-      if (lowerDesc.includes("second class")) {
-        currentSubSection = "Second Class";
-        continue;
-      }
+// 🔹 bulkWrite upserts bypass the schema: check every record against it
+//    (category names, required fields) before anything is written
+function validateRecords(records) {
+  const problems = records.flatMap((r, i) => {
+    const err = new LabourRate(r).validateSync();
+    if (!err) return [];
+    const where = r.provenance?.cell ? `${r.provenance.cell} ` : `record ${i + 1} `;
+    return Object.values(err.errors).map((e) => `${where}"${r.description ?? ""}": ${e.message}`);
+  });
+  if (problems.length > 0) {
+    const more = problems.length > 10 ? `\n  … ${problems.length - 10} more` : "";
+    throw new Error(`${problems.length} invalid labour record(s); nothing imported\n  ${problems.slice(0, 10).join("\n  ")}${more}`);
+  }
+}
 
-      if (lowerDesc.includes("operator")) {
-        currentSubSection = "Operator";
-        continue;
-      }
+// 🔹 Upsert one year's records into a new import batch and make it active.
+//    Nothing is deleted: earlier batches stay available for rollback.
+async function importLabourRates(records, year, { sourceFile = null, checksum = null, activate = true } = {}) {
+  validateRecords(records);
+  const batches = ImportBatch.collection;
 
-      // 🔹 Skip invalid rows
-      if (!currentSection) continue;
-      if (rate === undefined || rate === null) continue;
-      if (typeof rate !== "number") continue;
-
-      // 🔹 Push Clean Record
-      finalData.push({
-        year: "2005-06",
-        category: currentSection,
-        subCategory: currentSubSection || null,
-        description,
-        unit,
-        rate,
-      });
-    }
+  // 🔹 Records stored before versioning become their own (active) batch
+  const legacyCount = await LabourRate.countDocuments({ year, batch: { $exists: false } });
+  if (legacyCount > 0) {
+    const { batch: legacy } = await beginBatch(batches, {
+      dataset: "labour", year, source_file: null, record_count: legacyCount, legacy: true,
+    });
+    await LabourRate.updateMany({ year, batch: { $exists: false } }, { $set: { batch: legacy._id } });
+    await activateBatch(batches, legacy._id);
+    console.log(`📦 ${legacyCount} existing ${year} records kept as batch v${legacy.version}`);
+  }
+
+  const { batch, reused } = await beginBatch(batches, {
+    dataset: "labour", year, source_file: sourceFile, checksum, record_count: records.length,
+  });
+  if (reused) console.log(`♻️ ${sourceFile ?? "This file"} was already imported as batch v${batch.version}; updating it`);
+
+  const result = await LabourRate.bulkWrite(
+    records.map((r) => ({
+      updateOne: {
+        filter: {
+          batch: batch._id,
+          year: r.year,
+          category: r.category,
+          subCategory: r.subCategory,
+          description: r.description,
+        },
+        update: { $set: { ...r, batch: batch._id } },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+  console.log(`🚀 ${year} batch v${batch.version}: ${result.upsertedCount} inserted, ${result.modifiedCount} updated`);
+
+  if (activate) {
+    await activateBatch(batches, batch._id);
+    console.log(`✅ Batch v${batch.version} is now active for ${year}`);
+  }
 
-    // 🔹 Remove Old Data (Optional but Recommended for Seeding)
-    await LabourRate.deleteMany({});
-    console.log("🗑 Old data removed");
+  return { batch, reused, active: activate || Boolean(batch.active), inserted: result.upsertedCount, updated: result.modifiedCount };
+}
+
+async function importExcel() {
+  try {
+    // 🔹 Connect MongoDB
+    await mongoose.connect(config.mongoUri, { dbName: config.labourDbName });
+    console.log("✅ MongoDB Connected");
+
+    // 🔹 Read Excel
+    const { year, records, unknownHeaders } = parseLabourRates(INPUT_FILE, { year: YEAR_ARG });
+    console.log(`📅 Schedule year: ${year}`);
+    unknownHeaders.forEach((h) =>
+      console.warn(`⚠️ Unknown header at row ${h.row}: "${h.text}" (${h.skippedRows} rows left out — add it to lib/labourSections.json)`)
+    );
 
-    // 🔹 Insert New Data
-    await LabourRate.insertMany(finalData);
-    console.log(`🚀 ${finalData.length} records inserted successfully`);
+    // 🔹 Preview the changes against the active data
+    if (DRY_RUN || STAGE) {
+      printReport(await previewImport("labour", year, records, mongoose.connection, {
+        source: path.basename(INPUT_FILE),
+      }));
+      if (DRY_RUN) {
+        console.log("\n🔍 Dry run — nothing written");
+        process.exit();
+      }
+    }
+
+    const { batch, reused, active } = await importLabourRates(records, year, {
+      sourceFile: path.basename(INPUT_FILE),
+      checksum: fileChecksum(INPUT_FILE),
+      activate: !STAGE,
+    });
+    if (STAGE) console.log(`⏸ ${stagedMessage("labour", year, { version: batch.version, reused, active })}`);
 
     process.exit();
   } catch (error) {
@@ -155,4 +253,6 @@ async function importExcel() {
   }
 }
 
-importExcel();
+if (require.main === module) importExcel();
+
+module.exports = { parseLabourRates, importLabourRates };
@@ -0,0 +1,78 @@
+/**
+ * Rate Schedule REST API
+ * ======================
+ * Serves the data loaded by seed.js (LabourRate model, labour DB) and
+ * publicdb.js (ssr_sections collection, SSR DB) over HTTP.
+ *
+ * RUN:
+ *   node server.js
+ *
+ * ENDPOINTS:
+ *   GET /api/labour-rates              ?year=&category=&subCategory=&q=
+ *   GET /api/labour-rates/years
+ *   GET /api/labour-rates/:id
+ *   GET /api/ssr-sections              ?category=&year=&item_key=&q=&diameter=
+ *   GET /api/ssr-sections/categories
+ *   GET /api/ssr-sections/:itemKey     ?year=&diameter=
+ */
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const config   = require('./config.js');
+
+const labourRatesRouter       = require('./routes/labourRates.js');
+const createSsrSectionsRouter = require('./routes/ssrSections.js');
+
+// ─────────────────────────────────────────────────────────────
+// APP
+// ─────────────────────────────────────────────────────────────
+function createApp(connection) {
+  const app = express();
+  const ssrDb = connection.useDb(config.ssrDbName, { useCache: true });
+
+  app.use(express.json());
+
+  app.get('/api/health', (req, res) => {
+    res.json({ status: 'ok', db: connection.readyState === 1 ? 'connected' : 'disconnected' });
+  });
+
+  app.use('/api/labour-rates', labourRatesRouter);
+  app.use('/api/ssr-sections', createSsrSectionsRouter(ssrDb));
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+  });
+
+  // Express 5 forwards rejected async handlers here
+  app.use((err, req, res, next) => {
+    if (err instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ error: `Invalid ${err.path}: ${err.value}` });
+    }
+    console.error('❌ Request failed:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Internal Server Error' });
+  });
+
+  return app;
+}
+
+// ─────────────────────────────────────────────────────────────
+// MAIN
+// ─────────────────────────────────────────────────────────────
+async function main() {
+  await mongoose.connect(config.mongoUri, { dbName: config.labourDbName });
+  console.log(`✅ MongoDB Connected (${config.labourDbName}, ${config.ssrDbName})`);
+
+  const app = createApp(mongoose.connection);
+  app.listen(config.port, () => {
+    console.log(`🚀 API listening on http://localhost:${config.port}`);
+  });
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ Server failed to start:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { convertToJSON } = require('../phuse.js');
+const { checkComputations } = require('../lib/computationGraph.js');
+
+const ROWS = require('./fixtures/phe_working.json');
+const rowOf = text => ROWS.findIndex(r => String(r[2]).startsWith(text));
+
+/** The fixture working (rates in F, amounts in G) with some cells typed over. */
+function parseWorking(changes = []) {
+  const rows = ROWS.map(row => [...row]);
+  changes.forEach(([text, col, value]) => { rows[rowOf(text)][col] = value; });
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Sheet1');
+  return convertToJSON(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }), { source: 'phe_working.xlsx' });
+}
+
+const G = 6;
+
+test('reads the sheet\'s rates and amounts from columns F and G', () => {
+  const [sub] = parseWorking().items[0].sub_items;
+
+  assert.deepEqual(sub.labour.map(l => [l.sheet_rate, l.sheet_amount]), [[200, 27], [180, 57.6], [100, 120]]);
+  assert.deepEqual(sub.computation.steps.map(s => s.sheet_value),
+    [null, null, null, 2213, 3.15, 2216.15, 443.23, 2659.38, 265.94]);
+});
+
+test('a working that adds up has no findings', () => {
+  const report = checkComputations(parseWorking());
+
+  assert.equal(report.checked, 1);
+  assert.equal(report.errors, 0);
+  assert.equal(report.warnings, 0);
+  assert.equal(report.workings[0].rate, 265.94);
+});
+
+test('a wrong total is reported once, on its own row', () => {
+  const report = checkComputations(parseWorking([['Rate per joint', G, 256.94]]));
+
+  assert.equal(report.errors, 1);
+  const [finding] = report.workings[0].findings;
+  assert.equal(finding.check, 'mismatch');
+  assert.equal(finding.row, rowOf('Rate per joint') + 1); // sheet rows count from 1
+  assert.match(finding.message, /give 265\.94, the sheet has 256\.94/);
+});
+
+test('an amount that is not quantity × rate is reported', () => {
+  const report = checkComputations(parseWorking([['Pig lead', G, 1850]]));
+
+  const line = report.workings[0].findings.find(f => f.check === 'line');
+  assert.equal(line.severity, 'error');
+  assert.match(line.message, /20 × 90 = 1800, the sheet has 1850/);
+});
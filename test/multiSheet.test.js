@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const XLSX = require('xlsx');
+const { parseSheets } = require('../lib/multiSheet.js');
+const { validateOutput } = require('../lib/outputSchema.js');
+const { deriveWeightRates } = require('../lib/pipeWeights.js');
+
+const ROOT = path.join(__dirname, '..');
+
+/** A bundled workbook's sheet under each of `names`: sheets that restart their numbering. */
+function workbookOf(file, names) {
+  const source = XLSX.readFile(path.join(ROOT, file));
+  const wb = XLSX.utils.book_new();
+  names.forEach(name => XLSX.utils.book_append_sheet(wb, source.Sheets[source.SheetNames[0]], name));
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+const errorsOf = (format, data) => validateOutput(format, data).issues.filter(i => i.severity === 'error');
+
+test('phe: repeated index codes are qualified with their sheet', () => {
+  const { data, sheets } = parseSheets('phe', workbookOf('phuse.xlsx', ['Part A', 'Part B']), { source: 'phuse.xlsx' });
+
+  assert.deepEqual(errorsOf('phe', data), []);
+  const codes = data.items.map(i => i.index_code);
+  assert.ok(codes.includes('part-a:PHE-LCIS-1'));
+  assert.ok(codes.includes('part-b:PHE-LCIS-1'));
+  assert.equal(new Set(codes.filter(c => c !== '__COMMON__')).size, codes.length - 2);
+  assert.match(sheets[1].warnings[0], /also on sheet "Part A".*"part-b:PHE-/);
+});
+
+test('phe: every sheet keeps its own common data', () => {
+  const { data } = parseSheets('phe', workbookOf('phuse.xlsx', ['Part A', 'Part B']), { source: 'phuse.xlsx' });
+
+  const common = data.items.filter(i => i.index_code === '__COMMON__');
+  assert.deepEqual(common.map(i => i.sheet), ['Part A', 'Part B']);
+
+  const result = deriveWeightRates(data, { labour: () => 100 });
+  const partB = result.items.find(i => i.index_code === 'part-b:PHE-LCIS-1');
+  assert.equal(result.reference.sheet, 'Part A');
+  assert.equal(partB.reference.sheet, 'Part B');
+});
+
+test('pipe: item numbers every sheet restarts are qualified with their sheet', () => {
+  const { data, sheets } = parseSheets('pipe', workbookOf('input.xlsx', ['2005-06', 'Revised']), { source: 'input.xlsx' });
+
+  assert.deepEqual(errorsOf('pipe', data), []);
+  const half = data.items.length / 2;
+  assert.equal(data.totalItems, data.items.length);
+  assert.ok(data.items.slice(0, half).every(i => i.itemNo.startsWith('2005-06:')));
+  assert.ok(data.items.slice(half).every(i => i.itemNo.startsWith('revised:')));
+  assert.match(sheets[1].warnings.at(-1), /keys qualified with their sheet/);
+});
+
+test('keys stay as they are when no sheet repeats them', () => {
+  const { data } = parseSheets('pipe', workbookOf('input.xlsx', ['Only']), { source: 'input.xlsx' });
+
+  assert.deepEqual(errorsOf('pipe', data), []);
+  assert.ok(data.items.every(i => /^\d+[a-z]?$/.test(i.itemNo)));
+});
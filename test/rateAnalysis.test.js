@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { convertToJSON } = require('../phuse.js');
+const { analyseItem } = require('../lib/rateAnalysis.js');
+const { evaluateComputation } = require('../lib/computationGraph.js');
+
+const ROWS = require('./fixtures/phe_working.json');
+
+// the fixture's own rates, as a price table
+const PRICES = {
+  labour:   { 'plumber 1st class': 200, 'plumber 2nd class': 180, 'man mazdoor': 100 },
+  material: { 'fuel wood': 150, kerosene: 30, 'spun yarn': 60, 'pig lead': 90, 'testing of pipelines with required pressure as per relevant is specification': 2.2 },
+};
+
+function parseWorking() {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(ROWS), 'Sheet1');
+  return convertToJSON(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }), { source: 'phe_working.xlsx' });
+}
+
+test('prices a sub-item through its (a)/(b)/(c) working', () => {
+  const [sub] = analyseItem(parseWorking().items[0], PRICES).sub_items;
+
+  assert.equal(sub.subtotal, 2213);
+  assert.equal(sub.complete, true);
+  assert.equal(sub.total, 2659.38);
+  assert.equal(sub.divisor, 10);
+  assert.equal(sub.rate, 265.94);
+});
+
+test('sundries are the working\'s percentage rows, on the groups they name', () => {
+  const [sub] = analyseItem(parseWorking().items[0], PRICES).sub_items;
+
+  // 1% of labour 204.6 + testing 110, not of the subtotal
+  assert.deepEqual(sub.sundries.map(sd => [sd.factor, sd.amount]), [[0.01, 3.15]]);
+  assert.deepEqual(sub.overheads, { factor: 0.2, amount: 443.23 });
+});
+
+test('agrees with the computation check on the same prices', () => {
+  const item = parseWorking().items[0];
+  const dearer = { ...PRICES, material: { ...PRICES.material, 'pig lead': 95 } };
+  const [sub] = analyseItem(item, dearer).sub_items;
+  const graph = evaluateComputation(item.sub_items[0], dearer, { fromSheet: false });
+
+  assert.equal(sub.rate, graph.rate);
+  assert.ok(sub.rate > 265.94);
+});